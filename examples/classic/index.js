@@ -94,33 +94,43 @@ const tree = new InfiniteTree(document.querySelector('#classic [data-id="tree"]'
             document.querySelector('#classic [data-id="dropped-result"]').innerHTML = innerHTML;
         }
     },
-    loadNodes: (parentNode, next) => {
-        // Loading
+    keyboardNavigation: true, // Defaults to false
+    autoLoadMore: true, // Defaults to false
+    loadNodes: (parentNode, next, { cursor = 0 }) => {
+        // Loading 10000 nodes in pages of 1000 nodes
+        const total = 10000;
+        const pageSize = 1000;
         const nodes = [];
-        nodes.length = 10000;
+        nodes.length = pageSize;
         for (let i = 0; i < nodes.length; ++i) {
             nodes[i] = {
-                id: `${parentNode.id}.${i}`,
-                name: `${parentNode.name}.${i}`,
+                id: `${parentNode.id}.${cursor + i}`,
+                name: `${parentNode.name}.${cursor + i}`,
                 loadOnDemand: true
             };
         }
 
-        next(null, nodes, () => {
+        const page = {
+            nodes: nodes,
+            cursor: (cursor + pageSize < total) ? cursor + pageSize : null
+        };
+
+        next(null, page, () => {
             // Completed
         });
     },
     rowRenderer: renderer,
     selectable: true, // Defaults to true
+    selectionMode: 'multiple', // Defaults to 'single'
     shouldSelectNode: (node) => { // Defaults to null
-        if (!node || (node === tree.getSelectedNode())) {
-            return false; // Prevent from deselecting the current node
+        const selectedNodes = tree.getSelectedNodes();
+        if (!node || (selectedNodes.length === 1 && selectedNodes[0] === node)) {
+            return false; // Prevent from deselecting the only selected node
         }
         return true;
     }
 });
 
-let selectedNodes = [];
 tree.on('click', (event) => {
     //console.log('click', event);
 
@@ -135,93 +145,6 @@ tree.on('click', (event) => {
         return;
     }
 
-    const multipleSelectionMode = event.ctrlKey || event.metaKey;
-
-    if (!multipleSelectionMode) {
-        if (selectedNodes.length > 0) {
-            // Call event.stopPropagation() to stop event bubbling
-            event.stopPropagation();
-
-            // Empty an array of selected nodes
-            selectedNodes.forEach(selectedNode => {
-                selectedNode.state.selected = false;
-                tree.updateNode(selectedNode, {}, { shallowRendering: true });
-            });
-            selectedNodes = [];
-
-            // Select current node
-            tree.state.selectedNode = currentNode;
-            currentNode.state.selected = true;
-            tree.updateNode(currentNode, {}, { shallowRendering: true });
-        }
-        return;
-    }
-
-    // Call event.stopPropagation() to stop event bubbling
-    event.stopPropagation();
-
-    const selectedNode = tree.getSelectedNode();
-    if (selectedNodes.length === 0 && selectedNode) {
-        selectedNodes.push(selectedNode);
-        tree.state.selectedNode = null;
-    }
-
-    const index = selectedNodes.indexOf(currentNode);
-
-    // Remove current node if the array length of selected nodes is greater than 1
-    if (index >= 0 && selectedNodes.length > 1) {
-        currentNode.state.selected = false;
-        selectedNodes.splice(index, 1);
-        tree.updateNode(currentNode, {}, { shallowRendering: true });
-    }
-
-    // Add current node to the selected nodes
-    if (index < 0) {
-        currentNode.state.selected = true;
-        selectedNodes.push(currentNode);
-        tree.updateNode(currentNode, {}, { shallowRendering: true });
-    }
-});
-tree.on('keyDown', (event) => {
-    event.preventDefault();
-
-    //console.log('keyDown', event);
-    const node = tree.getSelectedNode();
-    const nodeIndex = tree.getSelectedIndex();
-
-    if (event.keyCode === 37) { // Left
-        tree.closeNode(node);
-    } else if (event.keyCode === 38) { // Up
-        if (tree.filtered) {
-            let prevNode = node;
-            for (let i = nodeIndex - 1; i >= 0; --i) {
-                if (tree.nodes[i].state.filtered) {
-                    prevNode = tree.nodes[i];
-                    break;
-                }
-            }
-            tree.selectNode(prevNode);
-        } else {
-            const prevNode = tree.nodes[nodeIndex - 1] || node;
-            tree.selectNode(prevNode);
-        }
-    } else if (event.keyCode === 39) { // Right
-        tree.openNode(node);
-    } else if (event.keyCode === 40) { // Down
-        if (tree.filtered) {
-            let nextNode = node;
-            for (let i = nodeIndex + 1; i < tree.nodes.length; ++i) {
-                if (tree.nodes[i].state.filtered) {
-                    nextNode = tree.nodes[i];
-                    break;
-                }
-            }
-            tree.selectNode(nextNode);
-        } else {
-            const nextNode = tree.nodes[nodeIndex + 1] || node;
-            tree.selectNode(nextNode);
-        }
-    }
 });
 tree.on('keyUp', (event) => {
     //console.log('keyUp', event);
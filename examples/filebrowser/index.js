@@ -1,71 +1,50 @@
-import classNames from 'classnames';
-import debounce from 'lodash/debounce';
 import InfiniteTree from '../../src';
 import renderer from './renderer';
 import './index.styl';
 import data from './data';
 
-// Makes header columns equal width to content columns
-const fitHeaderColumns = () => {
-    const row = document.querySelector('#filebrowser .infinite-tree-content tr.infinite-tree-item');
-    if (!row) {
-        console.error('Empty rows');
-        return;
-    }
-    const headers = document.querySelectorAll('#filebrowser table.filebrowser-header > thead > tr > th');
-    for (let c = row.firstChild, i = 0; c !== null && i < headers.length; c = c.nextSibling, ++i) {
-        headers[i].style.width = c.clientWidth + 'px';
-    }
-};
+const defaultColumns = [
+    { key: 'name', title: 'Name', width: 320, minWidth: 120, renderer: renderer },
+    { key: 'props.size', title: 'Size', width: 100, align: 'right' },
+    { key: 'props.type', title: 'Type', width: 140 },
+    { key: 'props.dateModified', title: 'Modified Date', width: 160 }
+];
 
-// Keep header equal width to tbody
-const setHeaderWidth = () => {
-    const header = document.querySelector('#filebrowser table.filebrowser-header');
-    const content = document.querySelector('#filebrowser .infinite-tree-content');
-    header.style.width = content.clientWidth + 'px';
-};
-
-// Update header columns width on window resize
-window.onresize = function() {
-    debounce(fitHeaderColumns, 150);
+// Restores the columns saved on "columnsChange", the cell renderers are not saved
+const loadColumns = () => {
+    try {
+        const columns = JSON.parse(localStorage.getItem('filebrowser.columns'));
+        if (Array.isArray(columns) && columns.length === defaultColumns.length) {
+            return columns.map(column => ({
+                ...defaultColumns.filter(c => c.key === column.key)[0],
+                ...column
+            }));
+        }
+    } catch (err) {
+        // Ignore
+    }
+    return defaultColumns;
 };
 
 const tree = new InfiniteTree(document.querySelector('#filebrowser [data-id="tree"]'), {
     autoOpen: true, // Defaults to false
     droppable: true, // Defaults to false
+    keyboardNavigation: true, // Defaults to false
     layout: 'table', // Defaults to 'div'
-    rowRenderer: renderer,
+    columns: loadColumns(), // Defaults to null
     selectable: true, // Defaults to true
     shouldSelectNode: (node) => { // Defaults to null
         if (!node || (node === tree.getSelectedNode())) {
             return false; // Prevent from deselecting the current node
         }
         return true;
-    }
+    },
+    typeAhead: true // Defaults to false
 });
 
 tree.on('click', (event) => {
     console.log('click', event);
 });
-tree.on('keyDown', (event) => {
-    event.preventDefault();
-
-    console.log('keyDown', event);
-    const node = tree.getSelectedNode();
-    const nodeIndex = tree.getSelectedIndex();
-
-    if (event.keyCode === 37) { // Left
-        tree.closeNode(node);
-    } else if (event.keyCode === 38) { // Up
-        const prevNode = tree.nodes[nodeIndex - 1] || node;
-        tree.selectNode(prevNode);
-    } else if (event.keyCode === 39) { // Right
-        tree.openNode(node);
-    } else if (event.keyCode === 40) { // Down
-        const nextNode = tree.nodes[nodeIndex + 1] || node;
-        tree.selectNode(nextNode);
-    }
-});
 tree.on('keyUp', (event) => {
     console.log('keyUp', event);
 });
@@ -74,8 +53,10 @@ tree.on('contentWillUpdate', () => {
 });
 tree.on('contentDidUpdate', () => {
     console.log('contentDidUpdate');
-    fitHeaderColumns();
-    setHeaderWidth();
+});
+tree.on('columnsChange', (columns) => {
+    console.log('columnsChange', columns);
+    localStorage.setItem('filebrowser.columns', JSON.stringify(columns));
 });
 tree.on('openNode', (node) => {
     console.log('openNode', node);
@@ -102,8 +83,8 @@ tree.loadData(data);
 tree.selectNode(tree.getChildNodes()[0]);
 
 const load = () => {
-    fitHeaderColumns();
-    setHeaderWidth();
+    // Render the rows again after the section becomes visible
+    tree.update();
 };
 
 window.examples = {
@@ -0,0 +1,57 @@
+// Creates an AbortController, or a minimal implementation of it if the environment does not support it.
+// https://developer.mozilla.org/en-US/docs/Web/API/AbortController
+const createAbortController = () => {
+    if (typeof AbortController === 'function') {
+        return new AbortController();
+    }
+
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        onabort: null,
+        addEventListener: (type, listener) => {
+            if (type === 'abort' && listeners.indexOf(listener) < 0) {
+                listeners.push(listener);
+            }
+        },
+        removeEventListener: (type, listener) => {
+            const index = listeners.indexOf(listener);
+            if (type === 'abort' && index >= 0) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+
+    return {
+        signal: signal,
+        abort: (reason) => {
+            if (signal.aborted) {
+                return;
+            }
+
+            signal.aborted = true;
+            signal.reason = reason;
+
+            const event = { type: 'abort', target: signal };
+            if (typeof signal.onabort === 'function') {
+                signal.onabort(event);
+            }
+            listeners.slice().forEach((listener) => {
+                listener.call(signal, event);
+            });
+        }
+    };
+};
+
+// Creates an error with the name "AbortError" like the one thrown by fetch() when the request is aborted.
+const createAbortError = (message) => {
+    const err = new Error(message);
+    err.name = 'AbortError';
+    return err;
+};
+
+export {
+    createAbortController,
+    createAbortError
+};
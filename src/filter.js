@@ -0,0 +1,215 @@
+// Text matching for filtering nodes in the substring, fuzzy, or regex mode.
+// A match is represented by an object { score, ranges }, where ranges is an array of [start, end) character ranges.
+import { get } from './utilities';
+
+// Characters that separate words (e.g. "foo-bar", "foo_bar", "foo/bar.js")
+const reWordSeparator = /[\s\-_./\\:]/;
+
+const isWordStart = (text, index) => {
+    return (index === 0) || reWordSeparator.test(text[index - 1]);
+};
+
+// Converts the text to lower case without changing its length, so the character ranges of a match apply to the original text.
+// A character whose lower case form has a different length (e.g. "\u0130" becomes "i\u0307") is kept as is.
+const foldCase = (text) => {
+    let foldedText = '';
+    for (const char of text) {
+        const lowerChar = char.toLowerCase();
+        foldedText += (lowerChar.length === char.length) ? lowerChar : char;
+    }
+    return foldedText;
+};
+
+// Converts sorted character indices into [start, end) ranges.
+const toRanges = (indices) => {
+    const ranges = [];
+    indices.forEach((index) => {
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && lastRange[1] === index) {
+            lastRange[1] = index + 1;
+        } else {
+            ranges.push([index, index + 1]);
+        }
+    });
+    return ranges;
+};
+
+// Finds all occurrences of the keyword in the text.
+// A match that covers more of the text scores higher, and a match at the beginning of the text gets a bonus.
+const matchSubstring = (text, keyword, exactMatch) => {
+    if (exactMatch) {
+        if (text !== keyword) {
+            return null;
+        }
+        return {
+            score: 2,
+            ranges: keyword ? [[0, keyword.length]] : []
+        };
+    }
+
+    const index = text.indexOf(keyword);
+    if (index < 0) {
+        return null;
+    }
+    if (!keyword) {
+        return { score: 0, ranges: [] };
+    }
+
+    const ranges = [];
+    for (let i = index; i >= 0; i = text.indexOf(keyword, i + keyword.length)) {
+        ranges.push([i, i + keyword.length]);
+    }
+
+    return {
+        score: (keyword.length / text.length) + (index === 0 ? 1 : 0),
+        ranges: ranges
+    };
+};
+
+// Matches the characters of the keyword in order, but not necessarily consecutively (e.g. "ifr" matches "infinite-tree.js").
+// Consecutive characters and characters at the start of a word score higher, and gaps between the characters lower the score.
+const matchFuzzy = (text, keyword) => {
+    if (!keyword) {
+        return { score: 0, ranges: [] };
+    }
+
+    let bestMatch = null;
+
+    // Try every occurrence of the first character, and keep the one with the highest score
+    for (let start = text.indexOf(keyword[0]); start >= 0; start = text.indexOf(keyword[0], start + 1)) {
+        const indices = [start];
+        let score = 1 + (isWordStart(text, start) ? 2 : 0);
+
+        for (let i = 1, j = start + 1; i < keyword.length; ++i, ++j) {
+            j = text.indexOf(keyword[i], j);
+            if (j < 0) {
+                return bestMatch; // The remaining occurrences cannot match either
+            }
+
+            const prevIndex = indices[indices.length - 1];
+            score += 1;
+            score += (j === prevIndex + 1) ? 2 : -0.1 * (j - prevIndex - 1);
+            score += isWordStart(text, j) ? 2 : 0;
+            indices.push(j);
+        }
+
+        if (!bestMatch || score > bestMatch.score) {
+            bestMatch = {
+                score: score,
+                ranges: toRanges(indices)
+            };
+        }
+    }
+
+    return bestMatch;
+};
+
+// Finds all matches of the regular expression in the text. A match that covers more of the text scores higher.
+const matchRegex = (text, regex) => {
+    const ranges = [];
+    let matchedLength = 0;
+    let matched = false;
+
+    regex.lastIndex = 0;
+
+    let result = regex.exec(text);
+    while (result) {
+        matched = true;
+
+        if (result[0].length > 0) {
+            ranges.push([result.index, result.index + result[0].length]);
+            matchedLength += result[0].length;
+        } else {
+            // Avoid an infinite loop on zero-length matches
+            ++regex.lastIndex;
+        }
+
+        result = (regex.lastIndex <= text.length) ? regex.exec(text) : null;
+    }
+
+    if (!matched) {
+        return null;
+    }
+
+    return {
+        score: text.length > 0 ? matchedLength / text.length : 0,
+        ranges: ranges
+    };
+};
+
+// Creates a function that matches a text against the keyword.
+// @param {string|RegExp} keyword The keyword, or a regular expression in the regex mode.
+// @param {object} [options] The options object.
+// @param {string} [options.mode] 'substring', 'fuzzy', or 'regex'. Defaults to 'substring'.
+// @param {boolean} [options.caseSensitive] Case sensitive string comparison. Defaults to false.
+// @param {boolean} [options.exactMatch] Exact string matching in the substring mode. Defaults to false.
+// @return {function} Returns a function that accepts a text and returns a match object, or null if not matched. An invalid regular expression matches nothing.
+const createMatcher = (keyword, options) => {
+    const {
+        mode = 'substring',
+        caseSensitive = false,
+        exactMatch = false
+    } = { ...options };
+
+    if (mode === 'regex' || keyword instanceof RegExp) {
+        const source = (keyword instanceof RegExp) ? keyword.source : String(keyword);
+        const flags = caseSensitive ? 'g' : 'gi';
+
+        let regex = null;
+        try {
+            regex = new RegExp(source, flags);
+        } catch (err) {
+            return () => null;
+        }
+
+        return (text) => matchRegex(text, regex);
+    }
+
+    keyword = String(keyword);
+    if (!caseSensitive) {
+        keyword = foldCase(keyword);
+    }
+
+    return (text) => {
+        if (!caseSensitive) {
+            text = foldCase(text);
+        }
+
+        return (mode === 'fuzzy')
+            ? matchFuzzy(text, keyword)
+            : matchSubstring(text, keyword, exactMatch);
+    };
+};
+
+// Matches the values at the filter paths of a node.
+// @param {Node} node The Node object.
+// @param {function} matcher The function returned by createMatcher.
+// @param {array} filterPaths An array of paths to get the values of Node object.
+// @return {object} Returns an object { score, matches } if any of the values matched, or null otherwise. The matches object maps each matched path to the character ranges.
+const matchNode = (node, matcher, filterPaths) => {
+    const matches = {};
+    let score = null;
+
+    filterPaths.forEach((filterPath) => {
+        let filterText = get(node, filterPath, '');
+        if (Number.isFinite(filterText)) {
+            filterText = String(filterText);
+        }
+        if (typeof filterText !== 'string') {
+            filterText = '';
+        }
+
+        const result = matcher(filterText);
+        if (result) {
+            matches[filterPath] = result.ranges;
+            score = (score === null) ? result.score : Math.max(score, result.score);
+        }
+    });
+
+    return (score === null) ? null : { score, matches };
+};
+
+export {
+    createMatcher,
+    matchNode
+};
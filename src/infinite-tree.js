@@ -5,49 +5,1830 @@ import classNames from 'classnames';
 import elementClass from 'element-class';
 import isDOM from 'is-dom';
 import { flatten, Node } from 'flattree';
+import { createAbortController, createAbortError } from './abort-controller';
 import Clusterize from './clusterize';
 import ensureArray from './ensure-array';
 import extend from './extend';
-import { get } from './utilities';
+import { createMatcher, matchNode } from './filter';
+import { isNodeDisabled } from './utilities';
+import handleKeyboardNavigation, { handleTypeAhead } from './keyboard-navigation';
 import LookupTable from './lookup-table';
-import { defaultRowRenderer } from './renderer';
+import { defaultLoadMoreRowRenderer, defaultRowRenderer, getRowElementId, getTableColumns, highlightText } from './renderer';
+import { createFoldersFirstComparator, foldersFirstComparator, naturalCompare } from './sort';
 import {
     preventDefault,
+    stopPropagation,
     addEventListener,
     removeEventListener
 } from './dom';
 
 const noop = () => {};
 
+let treeCount = 0;
+
 const error = (format, ...args) => {
     let argIndex = 0;
     const message = 'Error: ' + format.replace(/%s/g, () => {
         return args[argIndex++];
     });
 
-    if (console && console.error) {
-        console.error(message);
+    if (console && console.error) {
+        console.error(message);
+    }
+    try {
+        // This error was thrown as a convenience so that you can use this stack
+        // to find the callsite that caused this error to fire.
+        throw new Error(message);
+    } catch (e) {
+        // Ignore
+    }
+};
+
+const ensureNodeInstance = (node) => {
+    if (!node) { // undefined or null
+        return false;
+    }
+    if (!(node instanceof Node)) {
+        error('The node must be a Node object.');
+        return false;
+    }
+    return true;
+};
+
+// Returns the nodes in the first array that are not present in the second array.
+const difference = (nodes, otherNodes) => {
+    return nodes.filter(node => otherNodes.indexOf(node) < 0);
+};
+
+// Returns the first node that is not disabled from the candidates and the ancestors of the last candidate. It is used
+// to move the selection from a node that will be hidden or removed.
+// @return {Node} Returns the Node object, or null if there is no such node.
+const getFallbackNode = (tree, candidates) => {
+    const nodes = candidates.filter(node => !!node);
+    const lastNode = nodes[nodes.length - 1];
+
+    for (let p = lastNode ? lastNode.parent : null; p; p = p.parent) {
+        nodes.push(p);
+    }
+
+    return nodes.filter(node => (node !== tree.state.rootNode) && !isNodeDisabled(node))[0] || null;
+};
+
+// Checks if a node other than the root node is in the tree. The node table only contains the nodes with an id,
+// so check the membership by walking up to the root node. A removed node keeps its parent.
+const isNodeInTree = (tree, node) => {
+    let p = node;
+    while (p && p.parent && p.parent.children.indexOf(p) >= 0) {
+        p = p.parent;
+    }
+    return !!node && (node !== tree.state.rootNode) && (p === tree.state.rootNode);
+};
+
+// Runs a function while the given cancelable event is approved, so that it will not be emitted again.
+const withApprovedEvent = (tree, type, node, fn) => {
+    const approvedEvent = { type, node };
+    tree.approvedEvents.push(approvedEvent);
+
+    try {
+        return fn();
+    } finally {
+        const index = tree.approvedEvents.indexOf(approvedEvent);
+        if (index >= 0) {
+            tree.approvedEvents.splice(index, 1);
+        }
+    }
+};
+
+// Emits a cancelable event to the listeners with the node and an event object.
+// A listener can cancel the action by calling event.preventDefault(), or by returning a promise that resolves to false or rejects.
+// @return {boolean|Promise} Returns true to proceed, false to cancel, or a promise that resolves to either of them if any listener returns a promise.
+const emitCancelableEvent = (tree, type, node, detail) => {
+    const approvedEvent = tree.approvedEvents.filter(e => (e.type === type) && (e.node === node))[0];
+    if (approvedEvent) {
+        tree.approvedEvents.splice(tree.approvedEvents.indexOf(approvedEvent), 1);
+        return true;
+    }
+
+    const event = {
+        ...detail,
+        type: type,
+        defaultPrevented: false,
+        preventDefault: () => {
+            event.defaultPrevented = true;
+        }
+    };
+    const promises = [];
+
+    // Use the wrapped listeners to remove the listeners added with once() before calling them, as the emitter does
+    const listeners = (typeof tree.rawListeners === 'function') ? tree.rawListeners(type) : tree.listeners(type);
+    listeners.forEach((listener) => {
+        if (typeof listener.listener === 'function') {
+            tree.removeListener(type, listener.listener);
+            listener = listener.listener;
+        }
+
+        const result = listener.call(tree, node, event);
+        if (result && typeof result.then === 'function') {
+            promises.push(result);
+        }
+    });
+
+    if (event.defaultPrevented) {
+        return false;
+    }
+    if (promises.length === 0) {
+        return true;
+    }
+
+    return Promise.all(promises).then((results) => {
+        return !event.defaultPrevented && results.every(result => result !== false);
+    }, () => false);
+};
+
+// Performs the action after the promise returned by emitCancelableEvent resolves to true.
+// @return {Promise} Returns a promise that resolves to the result of the action, or false if the action is canceled.
+const deferAction = (tree, type, node, promise, fn) => {
+    return promise.then((proceed) => {
+        return proceed ? withApprovedEvent(tree, type, node, fn) : false;
+    });
+};
+
+// Passes a deferred action to the deferredCallback option set by callAsync, or reports the error if the action fails.
+// @return {boolean} Returns false since the action is not performed synchronously.
+const handleDeferredAction = (action, options) => {
+    const { deferredCallback } = { ...options };
+
+    if (typeof deferredCallback === 'function' && deferredCallback(action)) {
+        return false;
+    }
+
+    action.catch((err) => {
+        error('The deferred action failed: %s', err);
+    });
+
+    return false;
+};
+
+// Calls a function that accepts the async and asyncCallback options, and returns a promise that resolves after the rows are rendered.
+// If a listener of the cancelable event defers the action, the promise will be settled after the action is performed or canceled.
+// @return {Promise} Returns a promise that resolves to true on success, false otherwise.
+const callAsync = (fn, options) => {
+    return new Promise((resolve, reject) => {
+        let deferredAction = null;
+        let returned = false;
+
+        const result = fn({
+            ...options,
+            async: true,
+            asyncCallback: (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            },
+            // Takes the first action deferred before the function returns
+            deferredCallback: (action) => {
+                if (returned || deferredAction) {
+                    return false;
+                }
+                deferredAction = action;
+                return true;
+            }
+        });
+
+        returned = true;
+
+        if (!deferredAction) {
+            if (!result) {
+                resolve(false);
+            }
+            return;
+        }
+
+        // The action is deferred by a listener of the cancelable event
+        deferredAction.then((value) => {
+            if (!value) {
+                resolve(false);
+            }
+        }, reject);
+    });
+};
+
+// Retries loading the child nodes of a node with exponential backoff if the loadNodesRetry option is specified.
+const scheduleLoadNodesRetry = (tree, node, err) => {
+    if (!tree.options.loadNodesRetry) {
+        return;
+    }
+
+    const {
+        retries = 3,
+        delay = 1000,
+        factor = 2
+    } = { ...tree.options.loadNodesRetry };
+    const retryCount = node.state.loadRetryCount || 0;
+
+    if (retryCount >= retries) {
+        return;
+    }
+
+    setTimeout(() => {
+        // Skip if the node has been removed, or loaded again since the error occurred
+        if ((tree.getNodeById(node.id) !== node) || (node.state.loadError !== err)) {
+            return;
+        }
+
+        node.state.loadRetryCount = retryCount + 1;
+        tree.openNode(node);
+    }, delay * Math.pow(factor, retryCount));
+};
+
+// Aborts the pending loadNodes requests for the nodes that match the predicate.
+const abortLoadNodes = (tree, predicate) => {
+    tree.loadNodesRequests
+        .filter(request => predicate(request.node))
+        .forEach((request) => {
+            request.abort(createAbortError(`The loadNodes request for the node (id=${request.node.id}) was aborted.`));
+        });
+};
+
+// Calls the loadNodes option to load the child nodes of a node. The request will be aborted if it times out.
+// The child nodes can be passed to next(err, nodes, done), or be returned as a promise.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Node} node The Node object.
+// @param {object} options The options object.
+// @param {*} [options.cursor] The cursor of the page to load.
+// @param {function} options.onLoad The callback function called with (err, result, done) when loading is complete.
+// @param {function} options.onAbort The callback function called with the reason when the request is aborted.
+const requestLoadNodes = (tree, node, { cursor, onLoad, onAbort }) => {
+    const controller = createAbortController();
+    const request = { node: node };
+    let timer = null;
+
+    const finishRequest = () => {
+        clearTimeout(timer);
+        const index = tree.loadNodesRequests.indexOf(request);
+        if (index >= 0) {
+            tree.loadNodesRequests.splice(index, 1);
+        }
+    };
+
+    request.abort = (reason) => {
+        finishRequest();
+        controller.abort(reason);
+        onAbort(reason);
+    };
+
+    let settled = false;
+
+    const next = (err, result, done) => {
+        // Discard the late results of an aborted request, and settle the request only once
+        // if loadNodes both calls next() and returns a promise
+        if (controller.signal.aborted || settled) {
+            return;
+        }
+
+        settled = true;
+        finishRequest();
+        onLoad(err, result, done);
+    };
+
+    tree.loadNodesRequests.push(request);
+
+    if (tree.options.loadNodesTimeout > 0) {
+        timer = setTimeout(() => {
+            const err = new Error(`The loadNodes request for the node (id=${node.id}) timed out.`);
+            err.name = 'TimeoutError';
+
+            finishRequest();
+            controller.abort(err);
+            onLoad(err);
+        }, tree.options.loadNodesTimeout);
+    }
+
+    // Do a setTimeout to prevent the CPU intensive task
+    setTimeout(() => {
+        // Skip if the request has been aborted before loading
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        const promise = tree.options.loadNodes(node, next, {
+            cursor: cursor,
+            signal: controller.signal
+        });
+
+        if (promise && typeof promise.then === 'function') {
+            promise.then((result) => {
+                next(null, result);
+            }, (err) => {
+                next(err || new Error('Failed to load nodes'));
+            });
+        }
+    }, 0);
+};
+
+// Returns the child nodes and the cursor of the next page from the result of loadNodes, which is either
+// an array of child nodes, or a page object like { nodes: [...], cursor: 'next-page-cursor' }.
+const parseLoadNodesResult = (result) => {
+    if (result && !Array.isArray(result) && Array.isArray(result.nodes)) {
+        return {
+            nodes: result.nodes,
+            cursor: result.cursor
+        };
+    }
+
+    return {
+        nodes: ensureArray(result),
+        cursor: null
+    };
+};
+
+// Checks if there are more child nodes to load for a paginated node.
+const hasMoreChildNodes = (node) => {
+    return (node.state.nextCursor !== undefined) && (node.state.nextCursor !== null);
+};
+
+const setNextCursor = (node, cursor) => {
+    if (cursor === undefined || cursor === null) {
+        delete node.state.nextCursor;
+    } else {
+        node.state.nextCursor = cursor;
+    }
+};
+
+// Checks if the child nodes of a node should be loaded with loadNodes.
+const shouldLoadChildNodes = (tree, node) => {
+    if (typeof tree.options.shouldLoadNodes === 'function') {
+        return !!(tree.options.shouldLoadNodes(node));
+    }
+    return !node.hasChildren() && !!node.loadOnDemand;
+};
+
+// Opens a node and its descendants within the depth limit in one flatten and render pass.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Node} node The Node object, or the root node to open all nodes.
+// @param {object} options The options object.
+// @param {number} options.baseDepth The depth of the level at which the opening starts.
+// @param {number} options.maxDepth The number of levels to open.
+// @param {boolean} options.silent Pass true to prevent "openNode" event from being triggered.
+// @return {array} Returns an array of nodes whose child nodes should be loaded.
+const expandSubtree = (tree, node, { baseDepth, maxDepth, silent }) => {
+    const isRootNode = (node === tree.state.rootNode);
+    const openedNodes = [];
+    const lazyNodes = [];
+    const stack = isRootNode ? node.children.slice().reverse() : [node];
+
+    while (stack.length > 0) {
+        const currentNode = stack.pop();
+
+        if (currentNode.state.depth - baseDepth >= maxDepth) {
+            continue;
+        }
+
+        if (currentNode.hasChildren()) {
+            // The open state is kept in sync with the open nodes
+            if (!currentNode.state.open) {
+                currentNode.state.open = true;
+                openedNodes.push(currentNode);
+            }
+            for (let i = currentNode.children.length - 1; i >= 0; --i) {
+                stack.push(currentNode.children[i]);
+            }
+        } else if (!currentNode.state.loading && shouldLoadChildNodes(tree, currentNode)) {
+            lazyNodes.push(currentNode);
+        }
+    }
+
+    // the most recently used items first
+    tree.state.openNodes = openedNodes.concat(tree.state.openNodes);
+
+    const nodeIndex = tree.nodes.indexOf(node);
+    const isVisible = isRootNode || (nodeIndex >= 0);
+
+    if (isVisible) {
+        // The number of the nodes being replaced
+        const deleteCount = isRootNode ? tree.nodes.length : node.state.total;
+        const nodes = flatten(node.children, { openNodes: tree.state.openNodes });
+
+        nodes.forEach((node) => {
+            if (node.id !== undefined && !tree.nodeTable.has(node.id)) {
+                tree.nodeTable.set(node.id, node);
+            }
+        });
+
+        const rows = nodes.map(node => tree.options.rowRenderer(node, tree.options));
+
+        // Update nodes & rows
+        tree.nodes.splice.apply(tree.nodes, [nodeIndex + 1, deleteCount].concat(nodes));
+        tree.rows.splice.apply(tree.rows, [nodeIndex + 1, deleteCount].concat(rows));
+
+        if (!isRootNode) {
+            // Update the row corresponding to the node
+            tree.rows[nodeIndex] = tree.options.rowRenderer(node, tree.options);
+        }
+
+        // Update list
+        tree.update();
+    }
+
+    if (!silent) {
+        openedNodes.forEach((openedNode) => {
+            // Emit a "openNode" event
+            tree.emit('openNode', openedNode);
+        });
+    }
+
+    // Nodes that are hidden will not be loaded. The lazy nodes are visible if the node is visible, since all of their ancestors within the subtree are open.
+    return isVisible ? lazyNodes : [];
+};
+
+// Opens a node and its descendants recursively. The child nodes of load-on-demand nodes will be loaded
+// with a concurrency limit, and the progress is reported through the "expandProgress" event.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Node} node The Node object, or the root node to open all nodes.
+// @param {object} [options] The options object.
+// @return {boolean} Returns true on success, false otherwise.
+const expandNodes = (tree, node, options) => {
+    const {
+        maxDepth = Infinity,
+        concurrency = 4,
+        silent = false,
+        asyncCallback = noop
+    } = { ...options };
+    const baseDepth = (node === tree.state.rootNode) ? 0 : node.state.depth;
+    const queue = expandSubtree(tree, node, { baseDepth, maxDepth, silent });
+    let activeCount = 0;
+    let loadedCount = 0;
+    let totalCount = queue.length;
+    let completed = false;
+
+    const complete = () => {
+        if (!completed && activeCount === 0 && queue.length === 0) {
+            completed = true;
+            if (typeof asyncCallback === 'function') {
+                asyncCallback();
+            }
+        }
+    };
+
+    const load = (lazyNode) => {
+        ++activeCount;
+
+        // The "willOpenNode" event is only emitted for the node being opened recursively
+        const started = withApprovedEvent(tree, 'willOpenNode', lazyNode, () => tree.openNode(lazyNode, {
+            silent: silent,
+            asyncCallback: (err) => {
+                --activeCount;
+                ++loadedCount;
+
+                if (!err && tree.nodes.indexOf(lazyNode) >= 0) {
+                    const lazyNodes = expandSubtree(tree, lazyNode, { baseDepth, maxDepth, silent });
+                    queue.push.apply(queue, lazyNodes);
+                    totalCount += lazyNodes.length;
+                }
+
+                // Emit an "expandProgress" event
+                tree.emit('expandProgress', {
+                    node: lazyNode,
+                    loaded: loadedCount,
+                    total: totalCount
+                });
+
+                loadNext();
+            }
+        }));
+
+        if (!started) {
+            --activeCount;
+            --totalCount;
+        }
+    };
+
+    const loadNext = () => {
+        while (activeCount < concurrency && queue.length > 0) {
+            load(queue.shift());
+        }
+
+        complete();
+    };
+
+    loadNext();
+
+    return true;
+};
+
+// Returns an array of node ids from an array, or a string of node ids separated by slashes (e.g. 'org/team/repo').
+const parseIdPath = (idPath) => {
+    return (typeof idPath === 'string')
+        ? idPath.split('/').filter(id => !!id)
+        : ensureArray(idPath);
+};
+
+// Resolves the nodes along a path of node ids from the top level down, opening each level and loading its child nodes on demand.
+// The pending loadNodes request will be aborted if the signal is aborted.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {array} ids An array of node ids.
+// @param {object} [options] The options object.
+// @param {boolean} [options.silent] Pass true to prevent "openNode" events from being triggered.
+// @param {AbortSignal} [options.signal] The signal to abort resolving the nodes.
+// @return {Promise} Returns a promise that resolves to the last Node object, or rejects with an error if a node id along the path is not a child of the previous node.
+const resolveNodePath = (tree, ids, options) => {
+    const { silent = false, signal = null } = { ...options };
+    let loadingNode = null;
+
+    const onAbort = () => {
+        if (loadingNode) {
+            abortLoadNodes(tree, (node) => node === loadingNode);
+        }
+    };
+
+    const resolveNode = (parentNode, index) => {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason || createAbortError('Resolving the node path was aborted.'));
+        }
+
+        // Resolve the node id among the child nodes of the previous node
+        const id = ids[index];
+        const node = parentNode.children.filter(childNode => String(childNode.id) === String(id))[0];
+
+        if (!node) {
+            const err = new Error(`Cannot find node with the given node id: ${id}`);
+            err.name = 'NotFoundError';
+            err.segment = id;
+            err.index = index;
+            return Promise.reject(err);
+        }
+
+        if (index === ids.length - 1) {
+            return Promise.resolve(node);
+        }
+
+        // The node must be visible before its child nodes can be loaded
+        if (tree.nodes.indexOf(node) < 0) {
+            tree.revealNode(node, { silent: silent });
+        }
+
+        loadingNode = node;
+        return tree.openNodeAsync(node, { silent: silent })
+            .then(() => {
+                loadingNode = null;
+                return resolveNode(node, index + 1);
+            });
+    };
+
+    if (signal) {
+        signal.addEventListener('abort', onAbort);
+    }
+
+    return resolveNode(tree.getRootNode(), 0).then((node) => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        return node;
+    }, (err) => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        throw err;
+    });
+};
+
+// Saves the open nodes, the selection and the scroll position to restore on unfilter, unless they have been saved.
+const saveUnfilterState = (tree) => {
+    if (tree.unfilterState) {
+        return;
+    }
+
+    tree.unfilterState = {
+        openNodes: tree.state.openNodes.slice(),
+        focusedNode: tree.state.focusedNode,
+        selectedNode: tree.state.selectedNode,
+        selectedNodes: tree.state.selectedNodes.slice(),
+        scrollTop: tree.scrollTop()
+    };
+};
+
+// Returns the "Load more" rows to be rendered after the last descendant of each open node that has more child nodes.
+// @return {array} Returns an array of { node, index } objects in the order of the rows, where index is the index of the node after which the row is rendered.
+const getLoadMoreRows = (tree) => {
+    const loadMoreRows = [];
+
+    // Only the open nodes can be paginated, and there are usually much fewer open nodes than visible nodes
+    tree.state.openNodes.forEach((node) => {
+        if (!node.state.open || (node.state.filtered === false) || !hasMoreChildNodes(node)) {
+            return;
+        }
+
+        const nodeIndex = tree.nodes.indexOf(node);
+        if (nodeIndex >= 0) {
+            loadMoreRows.push({ node: node, index: nodeIndex + node.state.total });
+        }
+    });
+
+    // The row of a nested node comes before the row of its ancestor if they share the last descendant
+    return loadMoreRows.sort((a, b) => (a.index - b.index) || (b.node.state.depth - a.node.state.depth));
+};
+
+// Returns the index of the rendered row of a node. The "Load more" rows are counted, and the empty rows of the nodes that are filtered out are not.
+const getRenderedRowIndex = (tree, nodeIndex) => {
+    let rowIndex = 0;
+    for (let i = 0; i < nodeIndex; ++i) {
+        if (tree.rows[i]) {
+            ++rowIndex;
+        }
+    }
+
+    return rowIndex + tree.loadMoreRows.filter(loadMoreRow => loadMoreRow.index < nodeIndex).length;
+};
+
+// Loads the next page of child nodes for the "Load more" rows that have been rendered in the Clusterize window.
+const autoLoadMoreNodes = (tree) => {
+    if (!tree.options.autoLoadMore || !tree.contentElement || (tree.loadMoreRows.length === 0)) {
+        return;
+    }
+
+    const rowElements = tree.contentElement.querySelectorAll('[data-load-more]');
+    for (let i = 0; i < rowElements.length; ++i) {
+        const node = tree.getNodeById(rowElements[i].getAttribute('data-load-more'));
+        // Do not retry automatically if an error occurred
+        if (node && !node.state.loadingMore && !node.state.loadError) {
+            tree.loadMoreNodes(node);
+        }
+    }
+};
+
+// Checks if a node can be checked. The state of disabled nodes and the nodes rejected by shouldCheckNode will remain unchanged,
+// but the state is propagated through them to their descendants and ancestors.
+// @param {object} [options] The options object.
+// @param {boolean} [options.force] Pass true to check a disabled node.
+const isCheckable = (tree, node, options) => {
+    const { force = false } = { ...options };
+
+    if (!force && isNodeDisabled(node)) {
+        return false;
+    }
+    if (typeof tree.options.shouldCheckNode === 'function') {
+        return !!(tree.options.shouldCheckNode(node));
+    }
+    return true;
+};
+
+// Returns the nodes without duplicates. The nodes are looked up by id, and the nodes without an id are searched linearly.
+const uniqueNodes = (nodes) => {
+    const nodeTable = new LookupTable();
+    const anonymousNodes = [];
+
+    return nodes.filter((node) => {
+        if (node.id === undefined || node.id === null) {
+            if (anonymousNodes.indexOf(node) >= 0) {
+                return false;
+            }
+            anonymousNodes.push(node);
+            return true;
+        }
+
+        if (nodeTable.get(node.id) === node) {
+            return false;
+        }
+        nodeTable.set(node.id, node);
+        return true;
+    });
+};
+
+// Sets the checked and indeterminate state of a node, and keeps track of the nodes whose state has changed.
+// A node might be tracked more than once when the state of multiple nodes is propagated, see uniqueNodes.
+const setCheckState = (node, checked, indeterminate, changedNodes) => {
+    const changed = (!!node.state.checked !== checked) || (!!node.state.indeterminate !== indeterminate);
+
+    node.state.checked = checked;
+    node.state.indeterminate = indeterminate;
+
+    if (changed) {
+        changedNodes.push(node);
+    }
+};
+
+// Updates the checked state of the descendants of a node to match the node.
+const updateChildCheckState = (tree, parentNode, changedNodes, checked = !!parentNode.state.checked) => {
+    const stack = parentNode.children.slice().reverse();
+
+    while (stack.length > 0) {
+        const childNode = stack.pop();
+
+        // The state of a node that cannot be checked will remain unchanged
+        if (isCheckable(tree, childNode)) {
+            setCheckState(childNode, checked, false, changedNodes);
+        }
+
+        for (let i = childNode.children.length - 1; i >= 0; --i) {
+            stack.push(childNode.children[i]);
+        }
+    }
+};
+
+// Returns the checkable child nodes of a node. A child node that cannot be checked is replaced by its checkable descendants.
+const getCheckableChildNodes = (tree, parentNode) => {
+    const checkableNodes = [];
+    const stack = parentNode.children.slice().reverse();
+
+    while (stack.length > 0) {
+        const childNode = stack.pop();
+
+        if (isCheckable(tree, childNode)) {
+            checkableNodes.push(childNode);
+            continue;
+        }
+
+        for (let i = childNode.children.length - 1; i >= 0; --i) {
+            stack.push(childNode.children[i]);
+        }
+    }
+
+    return checkableNodes;
+};
+
+// Updates the checked and indeterminate state of a parent node and its ancestors.
+// @return {Node} Returns the topmost node that has been updated, or null if no nodes have been updated.
+const updateParentCheckState = (tree, parentNode, changedNodes) => {
+    let topmostNode = null;
+
+    for (; parentNode && parentNode.state.depth >= 0; parentNode = parentNode.parent) {
+        // The state of a node that cannot be checked will remain unchanged, but its ancestors will be updated
+        if (!isCheckable(tree, parentNode)) {
+            continue;
+        }
+
+        const checkableNodes = getCheckableChildNodes(tree, parentNode);
+        const checkedCount = checkableNodes.filter(node => node.state.checked).length;
+        const indeterminate = checkableNodes.some(node => node.state.indeterminate);
+
+        topmostNode = parentNode;
+
+        if (checkableNodes.length === 0) {
+            // A node without child nodes cannot be indeterminate
+            if (parentNode.state.indeterminate) {
+                setCheckState(parentNode, false, false, changedNodes);
+            }
+        } else if (checkedCount === 0) {
+            setCheckState(parentNode, false, false, changedNodes);
+        } else if ((checkedCount < checkableNodes.length) || indeterminate) {
+            setCheckState(parentNode, true, true, changedNodes);
+        } else {
+            setCheckState(parentNode, true, false, changedNodes);
+        }
+    }
+
+    return topmostNode;
+};
+
+// Propagates the checked state of a node according to the checkStrategy option.
+// @return {Node} Returns the topmost node that has been updated.
+const propagateCheckState = (tree, node, changedNodes) => {
+    const { checkStrategy } = tree.options;
+
+    if (checkStrategy === 'cascade' || checkStrategy === 'down-only') {
+        updateChildCheckState(tree, node, changedNodes);
+    }
+    if (checkStrategy === 'cascade' || checkStrategy === 'up-only') {
+        return updateParentCheckState(tree, node.parent, changedNodes) || node;
+    }
+
+    return node;
+};
+
+// Recalculates the checked and indeterminate state after child nodes have been added to or removed from a parent node.
+// The new child nodes inherit the checked state of the parent node if the parent node is fully checked.
+// @return {array} Returns an array of nodes whose state has changed.
+const refreshCheckState = (tree, parentNode, addedNodes = []) => {
+    const { checkStrategy } = tree.options;
+    const changedNodes = [];
+    const hasCheckState = (node) => (typeof node.state.checked === 'boolean');
+
+    if (parentNode === tree.state.rootNode) {
+        return changedNodes;
+    }
+
+    // Leave the state untouched if none of the nodes has been checked or unchecked
+    if (!hasCheckState(parentNode) && !parentNode.children.some(hasCheckState)) {
+        return changedNodes;
+    }
+
+    if ((checkStrategy === 'cascade' || checkStrategy === 'down-only') && parentNode.state.checked && !parentNode.state.indeterminate) {
+        addedNodes.forEach((node) => {
+            if (isCheckable(tree, node)) {
+                setCheckState(node, true, false, changedNodes);
+            }
+            updateChildCheckState(tree, node, changedNodes, true);
+        });
+    }
+
+    if (checkStrategy === 'cascade' || checkStrategy === 'up-only') {
+        updateParentCheckState(tree, parentNode, changedNodes);
+    }
+
+    return uniqueNodes(changedNodes);
+};
+
+// Updates the rows corresponding to the nodes.
+const updateRows = (tree, nodes) => {
+    if (nodes.length <= 1) {
+        nodes.forEach((node) => {
+            const nodeIndex = tree.nodes.indexOf(node);
+            if (nodeIndex >= 0) {
+                tree.rows[nodeIndex] = tree.options.rowRenderer(node, tree.options);
+            }
+        });
+        return;
+    }
+
+    // Find the rows in a single pass. The nodes are looked up by id, and the nodes without an id are searched linearly.
+    const nodeTable = new LookupTable();
+    const anonymousNodes = [];
+    nodes.forEach((node) => {
+        if (node.id === undefined || node.id === null) {
+            anonymousNodes.push(node);
+        } else {
+            nodeTable.set(node.id, node);
+        }
+    });
+
+    tree.nodes.forEach((node, nodeIndex) => {
+        const found = (node.id === undefined || node.id === null)
+            ? (anonymousNodes.indexOf(node) >= 0)
+            : (nodeTable.get(node.id) === node);
+
+        if (found) {
+            tree.rows[nodeIndex] = tree.options.rowRenderer(node, tree.options);
+        }
+    });
+};
+
+// Sets the focused node, and updates the rows corresponding to the previous and the new focused nodes without updating the list.
+// @return {boolean} Returns true if the focused node has changed, false otherwise.
+const setFocusedNode = (tree, node) => {
+    const prevFocusedNode = tree.state.focusedNode;
+    if (prevFocusedNode === node) {
+        return false;
+    }
+
+    [prevFocusedNode, node].forEach((focusedNode) => {
+        if (!focusedNode) {
+            return;
+        }
+
+        focusedNode.state.focused = (focusedNode === node);
+
+        // Update the row corresponding to the node
+        const focusedIndex = tree.nodes.indexOf(focusedNode);
+        if (focusedIndex >= 0) {
+            tree.rows[focusedIndex] = tree.options.rowRenderer(focusedNode, tree.options);
+        }
+    });
+
+    tree.state.focusedNode = node;
+
+    return true;
+};
+
+// Updates the rows corresponding to the child nodes of a parent node, which is used when the positions of the child nodes have changed.
+const updateChildNodeRows = (tree, parentNode) => {
+    const parentNodeIndex = tree.nodes.indexOf(parentNode);
+    if ((parentNode !== tree.state.rootNode) && !(parentNodeIndex >= 0 && parentNode.state.open)) {
+        return;
+    }
+
+    let childIndex = parentNodeIndex + 1;
+    for (let i = 0; i < parentNode.children.length; ++i) {
+        const childNode = parentNode.children[i];
+        if (tree.nodes[childIndex] !== childNode) {
+            break;
+        }
+        tree.rows[childIndex] = tree.options.rowRenderer(childNode, tree.options);
+        childIndex += childNode.state.total + 1;
+    }
+};
+
+// Updates the rows corresponding to the nodes whose visibility has changed with the filter, along with their sibling nodes since the positions of the visible sibling nodes have changed as well.
+const updateFilterChangedRows = (tree, changedNodes) => {
+    const parentNodes = [];
+    changedNodes.forEach((node) => {
+        if (node.parent && parentNodes.indexOf(node.parent) < 0) {
+            parentNodes.push(node.parent);
+        }
+    });
+    parentNodes.forEach((parentNode) => {
+        updateChildNodeRows(tree, parentNode);
+    });
+};
+
+// Returns the comparator function for sorting child nodes. The string 'folders-first' refers to the built-in comparator that sorts folders before files in natural order.
+// @param {function|string} comparator A comparator function, or the name of a built-in comparator.
+// @return {function} Returns the comparator function, or null if the comparator is not valid.
+const getSortComparator = (comparator) => {
+    if (comparator === 'folders-first') {
+        return foldersFirstComparator;
+    }
+
+    return (typeof comparator === 'function') ? comparator : null;
+};
+
+// Sorts nodes with a comparator. Nodes that are equal keep their original order.
+// @return {array} Returns a new array of sorted nodes.
+const stableSortNodes = (nodes, comparator) => {
+    return nodes
+        .map((node, index) => ({ node, index }))
+        .sort((a, b) => comparator(a.node, b.node) || (a.index - b.index))
+        .map(item => item.node);
+};
+
+// Sorts the child nodes of a parent node, and the child nodes of all its descendants if recursive is true.
+// @return {array} Returns the parent nodes whose child nodes have been reordered.
+const sortChildNodesInPlace = (parentNode, comparator, recursive) => {
+    const sortedNodes = [];
+    const stack = [parentNode];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        const children = node.children || [];
+
+        if (children.length > 1) {
+            const childNodes = stableSortNodes(children, comparator);
+            if (childNodes.some((childNode, index) => childNode !== children[index])) {
+                node.children = childNodes;
+                sortedNodes.push(node);
+            }
+        }
+
+        if (recursive) {
+            for (let i = 0; i < node.children.length; ++i) {
+                stack.push(node.children[i]);
+            }
+        }
+    }
+
+    return sortedNodes;
+};
+
+// Sorts the child nodes of each parent node by the highest filter score in their subtrees, in descending order.
+// The original order will be saved so that it can be restored by restoreChildNodesOrder.
+// @return {boolean} Returns true if any child nodes have been reordered, false otherwise.
+const sortChildNodesByScore = (tree) => {
+    // Perform iterative post-order traversal, so that the child nodes are sorted after the scores of their subtrees are known
+    const stack = [{ node: tree.state.rootNode, index: 0, parentFrame: null, scoredNodes: null }];
+
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const { node, parentFrame } = frame;
+
+        if (!frame.scoredNodes) {
+            frame.scoredNodes = [];
+
+            const childNodes = node.children || [];
+            for (let i = childNodes.length - 1; i >= 0; --i) {
+                stack.push({ node: childNodes[i], index: i, parentFrame: frame, scoredNodes: null });
+            }
+            continue;
+        }
+
+        stack.pop();
+
+        const scoredNodes = frame.scoredNodes;
+        let score = Number.isFinite(node.state.filterScore) ? node.state.filterScore : -Infinity;
+
+        if (scoredNodes.length > 0) {
+            scoredNodes.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+
+            const childNodes = scoredNodes.map(scoredNode => scoredNode.childNode);
+            if (childNodes.some((childNode, index) => childNode !== node.children[index])) {
+                tree.unsortedChildNodes.push({ parentNode: node, childNodes: node.children });
+                node.children = childNodes;
+            }
+
+            score = Math.max(score, scoredNodes[0].score);
+        }
+
+        if (parentFrame) {
+            parentFrame.scoredNodes.push({ childNode: node, index: frame.index, score: score });
+        }
+    }
+
+    return tree.unsortedChildNodes.length > 0;
+};
+
+// Restores the order of child nodes that have been sorted by sortChildNodesByScore.
+// Child nodes that have been removed or moved elsewhere will be dropped, and new child nodes will be placed at the end, or at their sorted positions with the sortComparator option.
+// @return {boolean} Returns true if any child nodes have been reordered, false otherwise.
+const restoreChildNodesOrder = (tree) => {
+    const unsortedChildNodes = tree.unsortedChildNodes;
+    const comparator = getSortComparator(tree.options.sortComparator);
+    tree.unsortedChildNodes = [];
+
+    unsortedChildNodes.forEach(({ parentNode, childNodes }) => {
+        const currentChildNodes = parentNode.children;
+        const restoredChildNodes = childNodes.filter(childNode => currentChildNodes.indexOf(childNode) >= 0);
+        currentChildNodes.forEach((childNode) => {
+            if (restoredChildNodes.indexOf(childNode) < 0) {
+                restoredChildNodes.push(childNode);
+            }
+        });
+        parentNode.children = comparator ? stableSortNodes(restoredChildNodes, comparator) : restoredChildNodes;
+    });
+
+    return unsortedChildNodes.length > 0;
+};
+
+const defaultFilterOptions = {
+    autoOpen: false,
+    caseSensitive: false,
+    exactMatch: false,
+    filterPath: 'name',
+    filterPaths: null,
+    includeAncestors: true,
+    includeDescendants: true,
+    mode: 'substring',
+    operator: 'and',
+    sortByScore: false
+};
+
+// The name of the filter layer used by filter() and filterAsync()
+const defaultFilterName = 'default';
+
+// Adds a filter layer, or replaces the filter layer with the same name in place.
+// @return {object} Returns the filter layer.
+const setFilterLayer = (tree, name, predicate, options) => {
+    options = {
+        ...defaultFilterOptions,
+        ...options
+    };
+
+    const layer = {
+        name: name,
+        predicate: predicate,
+        options: options,
+        filterPaths: ensureArray(options.filterPaths || options.filterPath),
+        matcher: (typeof predicate === 'string' || predicate instanceof RegExp)
+            ? createMatcher(predicate, options)
+            : null
+    };
+
+    const index = tree.filterLayers.map(filterLayer => filterLayer.name).indexOf(name);
+    if (index >= 0) {
+        tree.filterLayers[index] = layer;
+    } else {
+        tree.filterLayers.push(layer);
+    }
+
+    return layer;
+};
+
+// Tests a node against a filter layer.
+// @return {object|boolean} Returns the match object { score, matches } or null for a string or a regular expression, or a boolean value for a function.
+const testFilterLayer = (layer, node) => {
+    if (layer.matcher) {
+        return matchNode(node, layer.matcher, layer.filterPaths);
+    }
+    if (typeof layer.predicate === 'function') {
+        const callback = layer.predicate;
+        return !!callback(node);
+    }
+    return false;
+};
+
+// Combines the values of each filter layer with the "and" or "or" operator of the layer, from the first layer to the last.
+const combineFilterLayers = (layers, values) => {
+    let value = !!values[0];
+    for (let i = 1; i < layers.length; ++i) {
+        value = (layers[i].options.operator === 'or') ? (value || values[i]) : (value && values[i]);
+    }
+    return value;
+};
+
+// Merges the matched character ranges of multiple filter layers.
+const mergeFilterMatches = (results) => {
+    const filterMatches = {};
+
+    results.forEach((result) => {
+        Object.keys(result.matches).forEach((filterPath) => {
+            filterMatches[filterPath] = (filterMatches[filterPath] || []).concat(result.matches[filterPath]);
+        });
+    });
+
+    if (results.length > 1) {
+        Object.keys(filterMatches).forEach((filterPath) => {
+            const ranges = [];
+            filterMatches[filterPath]
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([start, end]) => {
+                    const lastRange = ranges[ranges.length - 1];
+                    if (lastRange && start <= lastRange[1]) {
+                        lastRange[1] = Math.max(lastRange[1], end);
+                    } else {
+                        ranges.push([start, end]);
+                    }
+                });
+            filterMatches[filterPath] = ranges;
+        });
+    }
+
+    return filterMatches;
+};
+
+// Sets the positions of the visible child nodes of a parent node, which are used for aria-posinset and aria-setsize when the tree is filtered.
+const updateFilterPositionInSet = (parentNode) => {
+    let setSize = 0;
+    for (let i = 0; i < parentNode.children.length; ++i) {
+        const childNode = parentNode.children[i];
+        if (childNode.state.filtered !== false) {
+            childNode.state.filterPosInSet = ++setSize;
+        } else {
+            delete childNode.state.filterPosInSet;
+        }
+    }
+    parentNode.state.filterSetSize = setSize;
+};
+
+// Collects the nodes that match the filter in tree order.
+const collectMatchedNodes = (tree) => {
+    const matchedNodes = [];
+    const stack = [tree.state.rootNode];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || !node.children) {
+            continue;
+        }
+        if (node.state.filterMatched) {
+            matchedNodes.push(node);
+        }
+        for (let i = node.children.length - 1; i >= 0; --i) {
+            stack.push(node.children[i]);
+        }
+    }
+
+    return matchedNodes;
+};
+
+// Sorts the child nodes of a parent node in place, and updates the nodes and rows of the parent node without rendering.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Node} parentNode The Node object that defines the parent node.
+// @param {function} comparator The comparator function.
+// @param {boolean} recursive Pass true to sort the child nodes of all descendants as well.
+// @return {boolean} Returns true if any child nodes have been reordered, false otherwise.
+const sortChildNodesAndRows = (tree, parentNode, comparator, recursive) => {
+    const sortedNodes = sortChildNodesInPlace(parentNode, comparator, recursive);
+    if (sortedNodes.length === 0) {
+        return false;
+    }
+
+    // The order of child nodes sorted by the filter score will not be restored after sorting
+    tree.unsortedChildNodes = tree.unsortedChildNodes.filter(entry => sortedNodes.indexOf(entry.parentNode) < 0);
+
+    // The order of matched nodes and the positions of the visible nodes have changed
+    if (tree.filtered) {
+        tree.state.matchedNodes = collectMatchedNodes(tree);
+        sortedNodes.forEach(updateFilterPositionInSet);
+    }
+
+    const deleteCount = parentNode.state.total;
+    const nodes = flatten(parentNode.children, { openNodes: tree.state.openNodes });
+
+    const rows = [];
+    // Update rows
+    rows.length = nodes.length;
+    for (let i = 0; i < nodes.length; ++i) {
+        const node = nodes[i];
+        rows[i] = tree.options.rowRenderer(node, tree.options);
+    }
+
+    if (parentNode === tree.state.rootNode) {
+        tree.nodes = nodes;
+        tree.rows = rows;
+    } else {
+        const parentOffset = tree.nodes.indexOf(parentNode);
+        if ((parentOffset >= 0) && (parentNode.state.open === true)) {
+            // Update nodes & rows
+            tree.nodes.splice.apply(tree.nodes, [parentOffset + 1, deleteCount].concat(nodes));
+            tree.rows.splice.apply(tree.rows, [parentOffset + 1, deleteCount].concat(rows));
+        }
+    }
+
+    return true;
+};
+
+// Tests a node against each filter layer when entering the node in depth-first traversal, and computes the filter match state of the node into frame.state, which will be written to node.state by applyFilterState.
+// The result of each layer is cached in node.state.filterLayers, only the changed layers and the layers without a cached result will be tested.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {array} layers The filter layers.
+// @param {object} frame The traversal frame { node, parentFrame }, where parentFrame is the frame of the parent node.
+// @param {object} [options] The options object.
+// @param {array} [options.changedLayers] The names of the filter layers that have been changed.
+// @param {array} [options.removedLayers] The names of the filter layers that have been removed.
+// @return {boolean} Returns true if the node matches the filter, false otherwise.
+const enterFilterFrame = (tree, layers, frame, options) => {
+    const { changedLayers = [], removedLayers = [] } = { ...options };
+    const { node, parentFrame } = frame;
+    const isRootNode = (node === tree.state.rootNode);
+    const layerResults = { ...node.state.filterLayers };
+
+    removedLayers.forEach((name) => {
+        delete layerResults[name];
+    });
+
+    const results = layers.map((layer) => {
+        if (isRootNode) {
+            return false;
+        }
+        if ((changedLayers.indexOf(layer.name) >= 0) || !Object.prototype.hasOwnProperty.call(layerResults, layer.name)) {
+            layerResults[layer.name] = testFilterLayer(layer, node);
+        }
+        return layerResults[layer.name];
+    });
+    const matches = results.map(result => !!result);
+
+    frame.state = { filterLayers: layerResults };
+
+    // Whether the node is a descendant of a matched node in each layer that includes descendants
+    frame.descendants = layers.map((layer, index) => {
+        return !!parentFrame && layer.options.includeDescendants && (parentFrame.descendants[index] || parentFrame.matches[index]);
+    });
+    frame.matches = matches;
+    frame.kept = combineFilterLayers(layers, matches.map((matched, index) => matched || frame.descendants[index]));
+    frame.hasKeptDescendants = false;
+
+    // Nodes that match a string or a regular expression
+    const matchResults = results.filter(result => result && typeof result === 'object');
+    if (matchResults.length > 0) {
+        frame.state.filterMatches = mergeFilterMatches(matchResults);
+        frame.state.filterScore = Math.max(...matchResults.map(result => result.score));
+    }
+
+    if (isRootNode || !combineFilterLayers(layers, matches)) {
+        return false;
+    }
+
+    frame.state.filterMatched = true;
+
+    return true;
+};
+
+// Determines the visibility of the node into frame.state when leaving the node, after all the descendant nodes have been processed.
+// The filterKept flag indicates whether the node or any of its descendants is kept on its own, which is used to include the ancestors.
+// @param {array} layers The filter layers.
+// @param {object} frame The traversal frame passed to enterFilterFrame.
+const leaveFilterFrame = (layers, frame) => {
+    const { parentFrame } = frame;
+
+    frame.state.filtered = combineFilterLayers(layers, layers.map((layer, index) => {
+        return frame.matches[index] || frame.descendants[index] || (layer.options.includeAncestors && frame.hasKeptDescendants);
+    }));
+    frame.state.filterKept = frame.kept || frame.hasKeptDescendants;
+
+    if (parentFrame && frame.state.filterKept) {
+        parentFrame.hasKeptDescendants = true;
+    }
+};
+
+// Writes the filter state computed by enterFilterFrame and leaveFilterFrame to node.state.
+const applyFilterState = (node, state) => {
+    delete node.state.filterMatched;
+    delete node.state.filterMatches;
+    delete node.state.filterScore;
+    extend(node.state, state);
+};
+
+// Applies the active filter to the child nodes that have been added, moved or updated, and recalculates the ancestor inclusion along the branch of the parent node without filtering the whole tree again.
+// The cached result of each filter layer will be reused, only the nodes without a cached result will be tested.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Node} parentNode The parent node of the affected child nodes.
+// @param {object} [options] The options object.
+// @param {array} [options.childNodes] The child nodes to filter along with their descendants.
+// @param {array} [options.removedNodes] The nodes that have been removed from the parent node.
+// @return {array} Returns the ancestor nodes whose visibility has changed.
+const refilterBranch = (tree, parentNode, options) => {
+    const { childNodes = [], removedNodes = [] } = { ...options };
+    const rootNode = tree.state.rootNode;
+    const layers = tree.filterLayers.slice();
+
+    if (!tree.filtered || layers.length === 0) {
+        return [];
+    }
+
+    const ancestors = [];
+    for (let node = parentNode; node; node = node.parent) {
+        ancestors.unshift(node);
+    }
+    if (ancestors[0] !== rootNode) {
+        return [];
+    }
+
+    // The ancestor nodes from the root node down to the parent node
+    const frames = [];
+    ancestors.forEach((node) => {
+        const frame = { node: node, parentFrame: frames[frames.length - 1] || null };
+        enterFilterFrame(tree, layers, frame);
+        frames.push(frame);
+    });
+
+    let shouldCollectMatchedNodes = false;
+
+    childNodes.forEach((childNode) => {
+        const stack = [{ node: childNode, parentFrame: frames[frames.length - 1], entered: false }];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const node = frame.node;
+
+            if (frame.entered) {
+                stack.pop();
+                leaveFilterFrame(layers, frame);
+                applyFilterState(node, frame.state);
+                updateFilterPositionInSet(node);
+                continue;
+            }
+
+            if (!node || !node.children) {
+                stack.pop();
+                continue;
+            }
+
+            frame.entered = true;
+
+            // A moved node that matches the filter also changes the order of matched nodes
+            const wasMatched = !!node.state.filterMatched;
+            if (enterFilterFrame(tree, layers, frame) || wasMatched) {
+                shouldCollectMatchedNodes = true;
+            }
+
+            for (let i = node.children.length - 1; i >= 0; --i) {
+                stack.push({ node: node.children[i], parentFrame: frame, entered: false });
+            }
+        }
+    });
+
+    // Recalculate the ancestor inclusion from the parent node up, until the visibility of an ancestor node does not change
+    const changedNodes = [];
+    for (let i = frames.length - 1; i >= 0; --i) {
+        const frame = frames[i];
+        const node = frame.node;
+        const { filtered, filterKept } = node.state;
+
+        frame.hasKeptDescendants = node.children.some(childNode => !!childNode.state.filterKept);
+        leaveFilterFrame(layers, frame);
+        applyFilterState(node, frame.state);
+        updateFilterPositionInSet(node);
+
+        if (node.state.filtered !== filtered) {
+            changedNodes.push(node);
+        } else if (node.state.filterKept === filterKept) {
+            break;
+        }
+    }
+
+    if (removedNodes.length > 0) {
+        tree.state.matchedNodes = tree.state.matchedNodes.filter(node => removedNodes.indexOf(node) < 0);
+    }
+    if (shouldCollectMatchedNodes) {
+        tree.state.matchedNodes = collectMatchedNodes(tree);
+    }
+
+    return changedNodes;
+};
+
+// Creates a task that filters nodes with all filter layers by performing iterative tree traversal, which can be processed in chunks and will not blow the stack on deep trees.
+// The result of each layer is cached in node.state.filterLayers, only the changed layers and the nodes without a cached result will be tested again.
+// A node matches the filter if the combination of its layer results is true, and it is kept if the combination of its layer visibility is true, where a node is visible in a layer if it matches the layer, or it is an ancestor or a descendant of the nodes that are kept on their own.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {object} [options] The options object.
+// @param {array} [options.changedLayers] The names of the filter layers that have been changed.
+// @param {array} [options.removedLayers] The names of the filter layers that have been removed.
+// @return {object} Returns an object { run, finish, renderRows, processed, total }, where total is the number of nodes that have been found so far. Calls run(shouldYield) until it returns true, which means all nodes have been processed, then calls finish() to update the nodes and get the filter result, and renderRows() to update the rows that have been changed.
+const createFilterTask = (tree, options) => {
+    const { changedLayers = [], removedLayers = [] } = { ...options };
+    const rootNode = tree.state.rootNode;
+    const layers = tree.filterLayers.slice();
+    const isChanged = layers.map(layer => changedLayers.indexOf(layer.name) >= 0);
+    const autoOpen = layers.some((layer, index) => isChanged[index] && layer.options.autoOpen);
+
+    if (autoOpen) {
+        saveUnfilterState(tree);
+    }
+
+    let shouldUpdateNodes = false;
+    let matchedNodes = [];
+    // The filter state of the processed nodes, which will be written to node.state after all nodes have been processed,
+    // so that the rows rendered between the chunks and a canceled run will not see a partially applied filter.
+    const filterStates = [];
+    const changedParentNodes = []; // The parent nodes of the child nodes whose visibility has changed
+    const matchChangedNodes = []; // The nodes whose matched character ranges have changed
+    let filteredCount = 0;
+
+    const openAncestors = (node) => {
+        for (let parentNode = node.parent; parentNode && parentNode !== rootNode; parentNode = parentNode.parent) {
+            if (!parentNode.state.open) {
+                parentNode.state.open = true;
+                tree.state.openNodes.push(parentNode);
+                shouldUpdateNodes = true;
+            }
+        }
+    };
+
+    const enterNode = (frame) => {
+        if (enterFilterFrame(tree, layers, frame, { changedLayers, removedLayers })) {
+            matchedNodes.push(frame.node);
+        }
+    };
+
+    const leaveNode = (frame) => {
+        const { node, parentFrame, state } = frame;
+
+        leaveFilterFrame(layers, frame);
+        filterStates.push({ node: node, state: state });
+
+        if (state.filtered && node !== rootNode) {
+            ++filteredCount;
+        }
+
+        // The positions of the visible sibling nodes will be changed along with the visibility of the node
+        if (parentFrame && (state.filtered !== node.state.filtered)) {
+            parentFrame.hasChangedChildNodes = true;
+        } else if (JSON.stringify(state.filterMatches) !== JSON.stringify(node.state.filterMatches)) {
+            matchChangedNodes.push(node);
+        }
+        if (frame.hasChangedChildNodes) {
+            changedParentNodes.push(node);
+        }
+    };
+
+    const stack = [{ node: rootNode, parentFrame: null, entered: false }];
+
+    const task = {
+        processed: 0,
+        total: 0,
+        run: (shouldYield = () => false) => {
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const node = frame.node;
+
+                if (frame.entered) {
+                    stack.pop();
+                    leaveNode(frame);
+                    continue;
+                }
+
+                if (!node || !node.children) {
+                    stack.pop();
+                    continue;
+                }
+
+                frame.entered = true;
+                enterNode(frame);
+                if (node !== rootNode) {
+                    ++task.processed;
+                }
+
+                // Push the child nodes in reverse order to visit them in order
+                for (let i = node.children.length - 1; i >= 0; --i) {
+                    stack.push({ node: node.children[i], parentFrame: frame, entered: false });
+                }
+                task.total += node.children.length;
+
+                if ((task.processed % 64 === 0) && shouldYield()) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+        finish: () => {
+            // The filter state, the order of child nodes and the open nodes are changed after all nodes have been processed, so that a canceled task leaves them in step with the rendered nodes.
+            filterStates.forEach(({ node, state }) => {
+                applyFilterState(node, state);
+            });
+            tree.filtered = true;
+
+            // Restore the original order of child nodes that have been sorted by the previous filter.
+            if (restoreChildNodesOrder(tree)) {
+                matchedNodes = collectMatchedNodes(tree);
+                shouldUpdateNodes = true;
+            }
+            if (autoOpen) {
+                matchedNodes.forEach(openAncestors);
+            }
+
+            tree.state.matchedNodes = matchedNodes;
+
+            const sortByScore = layers.some(layer => layer.matcher && layer.options.sortByScore);
+            if (sortByScore && sortChildNodesByScore(tree)) {
+                tree.state.matchedNodes = collectMatchedNodes(tree);
+                shouldUpdateNodes = true;
+            }
+
+            // Update nodes
+            if (shouldUpdateNodes) {
+                tree.nodes = flatten(rootNode.children, { openNodes: tree.state.openNodes });
+            }
+            tree.rows.length = tree.nodes.length;
+
+            // Update the positions of the visible nodes after the child nodes have been sorted by score
+            const stack = [rootNode];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (node.children && node.children.length > 0) {
+                    updateFilterPositionInSet(node);
+                    stack.push.apply(stack, node.children);
+                }
+            }
+
+            return {
+                matchedNodes: tree.state.matchedNodes.slice(),
+                matchedCount: matchedNodes.length,
+                filteredCount: filteredCount,
+                totalCount: task.processed
+            };
+        },
+        renderRows: () => {
+            if (shouldUpdateNodes) {
+                for (let i = 0; i < tree.nodes.length; ++i) {
+                    const node = tree.nodes[i];
+                    tree.rows[i] = tree.options.rowRenderer(node, tree.options);
+                }
+                return;
+            }
+
+            // Only the rows of the nodes whose visibility or matches have changed, and their sibling nodes, will be updated
+            changedParentNodes.forEach((parentNode) => {
+                updateChildNodeRows(tree, parentNode);
+            });
+            updateRows(tree, matchChangedNodes);
+        }
+    };
+
+    return task;
+};
+
+// Calls a function on the next animation frame, or in the next idle period if the idle option is true.
+// The function will be called with a function that returns the remaining milliseconds of the time slice.
+// @return {function} Returns a function to cancel the call.
+const requestTimeSlice = (fn, { idle = false, timeSlice = 8 }) => {
+    const hasWindow = (typeof window !== 'undefined');
+
+    if (idle && hasWindow && typeof window.requestIdleCallback === 'function') {
+        const id = window.requestIdleCallback((deadline) => {
+            fn(() => deadline.timeRemaining());
+        });
+        return () => window.cancelIdleCallback(id);
+    }
+
+    const callback = () => {
+        const startTime = Date.now();
+        fn(() => timeSlice - (Date.now() - startTime));
+    };
+
+    if (hasWindow && typeof window.requestAnimationFrame === 'function') {
+        const id = window.requestAnimationFrame(callback);
+        return () => window.cancelAnimationFrame(id);
+    }
+
+    const timer = setTimeout(callback, 0);
+    return () => clearTimeout(timer);
+};
+
+// Cancels the pending filterAsync run.
+// @return {array} Returns the names of the filter layers that have been changed by the canceled run, which need to be tested again.
+const cancelFilterTask = (tree) => {
+    if (!tree.filterTask) {
+        return [];
+    }
+
+    const filterTask = tree.filterTask;
+    tree.filterTask = null;
+    filterTask.cancel();
+
+    return filterTask.changedLayers;
+};
+
+// Filters nodes with all filter layers, and renders the rows.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {object} [options] The options object. See createFilterTask for details.
+// @return {object} Returns the filter result.
+const runFilterTask = (tree, options) => {
+    const { changedLayers = [], removedLayers = [] } = { ...options };
+    const task = createFilterTask(tree, {
+        changedLayers: cancelFilterTask(tree).concat(changedLayers),
+        removedLayers: removedLayers
+    });
+
+    task.run();
+    const result = task.finish();
+
+    // Update rows
+    task.renderRows();
+
+    tree.update();
+
+    return result;
+};
+
+// Reveals and selects the next or the previous node that matches the filter, relative to the selected or the focused node.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {number} step 1 to move to the next match, -1 to move to the previous match.
+// @param {object} [options] The options object. See revealNode for details.
+// @return {Node} Returns the matched Node object, or null if there is no match.
+const moveToMatch = (tree, step, options) => {
+    const matchedNodes = tree.getFilterMatches();
+    if (matchedNodes.length === 0) {
+        return null;
     }
-    try {
-        // This error was thrown as a convenience so that you can use this stack
-        // to find the callsite that caused this error to fire.
-        throw new Error(message);
-    } catch (e) {
-        // Ignore
+
+    const currentNode = tree.getSelectedNode() || tree.getFocusedNode();
+    const currentIndex = matchedNodes.indexOf(currentNode);
+    let node = null;
+
+    if (currentIndex >= 0) {
+        node = matchedNodes[(currentIndex + step + matchedNodes.length) % matchedNodes.length];
+    } else {
+        // Find the nearest visible match in the given direction
+        const nodeIndex = tree.nodes.indexOf(currentNode);
+        for (let i = nodeIndex + step; nodeIndex >= 0 && i >= 0 && i < tree.nodes.length; i += step) {
+            if (tree.nodes[i].state.filterMatched) {
+                node = tree.nodes[i];
+                break;
+            }
+        }
+    }
+
+    // Wrap around to the first or the last match
+    if (!node) {
+        node = (step > 0) ? matchedNodes[0] : matchedNodes[matchedNodes.length - 1];
     }
+
+    tree.revealNode(node, {
+        select: true,
+        align: 'auto',
+        ...options
+    });
+
+    return node;
 };
 
-const ensureNodeInstance = (node) => {
-    if (!node) { // undefined or null
+const defaultColumn = {
+    title: '',
+    width: null, // The width in pixels. Defaults to null (auto).
+    minWidth: 30,
+    align: null, // 'left', 'center', or 'right'
+    renderer: null // A function (node, treeOptions, column) that returns the HTML content of the cell
+};
+
+// Normalizes the columns option. Columns without a key will be ignored, and the fields that are undefined will be set to the default values.
+const normalizeColumns = (columns) => {
+    return ensureArray(columns)
+        .filter(column => !!column && (column.key !== undefined) && (column.key !== null))
+        .map((column) => {
+            const normalizedColumn = { ...defaultColumn };
+            Object.keys(column).forEach((field) => {
+                if (column[field] !== undefined) {
+                    normalizedColumn[field] = column[field];
+                }
+            });
+            normalizedColumn.key = String(column.key);
+            normalizedColumn.title = (normalizedColumn.title === null) ? '' : String(normalizedColumn.title);
+            return normalizedColumn;
+        });
+};
+
+// Returns a copy of the columns, which can be persisted and passed to setColumns().
+const copyColumns = (columns) => {
+    return ensureArray(columns).map(column => ({ ...column }));
+};
+
+// Finds the header cell that contains the element.
+const findHeaderCell = (tree, el) => {
+    for (; el && el !== tree.headerElement; el = el.parentElement) {
+        if (el.tagName && el.tagName.toLowerCase() === 'th') {
+            return el;
+        }
+    }
+    return null;
+};
+
+// Renders the column widths and the column header of the table layout. The header is placed in the same table as the rows, so the header cells always align with the cells of the rows.
+const renderColumnHeader = (tree) => {
+    if (!tree.contentElement || tree.options.layout !== 'table') {
+        return;
+    }
+
+    const tableElement = tree.contentElement.parentElement;
+    const columns = getTableColumns(tree.options);
+
+    if (!columns) {
+        if (tree.headerElement) {
+            removeEventListener(tree.headerElement, 'mousedown', tree.headerListener.mousedown);
+            removeEventListener(tree.headerElement, 'dragstart', tree.headerListener.dragstart);
+            removeEventListener(tree.headerElement, 'dragover', tree.headerListener.dragover);
+            removeEventListener(tree.headerElement, 'drop', tree.headerListener.drop);
+            removeEventListener(tree.headerElement, 'dragend', tree.headerListener.dragend);
+            tableElement.removeChild(tree.headerElement);
+            tableElement.removeChild(tree.colgroupElement);
+            elementClass(tableElement).remove('infinite-tree-table-columns');
+            tree.headerElement = null;
+            tree.colgroupElement = null;
+        }
+        return;
+    }
+
+    if (!tree.headerElement) {
+        tree.colgroupElement = document.createElement('colgroup');
+        tree.headerElement = document.createElement('thead');
+        tree.headerElement.className = 'infinite-tree-header';
+        tableElement.insertBefore(tree.colgroupElement, tree.contentElement);
+        tableElement.insertBefore(tree.headerElement, tree.contentElement);
+        elementClass(tableElement).add('infinite-tree-table-columns');
+
+        addEventListener(tree.headerElement, 'mousedown', tree.headerListener.mousedown);
+        addEventListener(tree.headerElement, 'dragstart', tree.headerListener.dragstart);
+        addEventListener(tree.headerElement, 'dragover', tree.headerListener.dragover);
+        addEventListener(tree.headerElement, 'drop', tree.headerListener.drop);
+        addEventListener(tree.headerElement, 'dragend', tree.headerListener.dragend);
+    }
+
+    while (tree.colgroupElement.firstChild) {
+        tree.colgroupElement.removeChild(tree.colgroupElement.firstChild);
+    }
+    while (tree.headerElement.firstChild) {
+        tree.headerElement.removeChild(tree.headerElement.firstChild);
+    }
+
+    const headerRow = document.createElement('tr');
+
+    columns.forEach((column) => {
+        const col = document.createElement('col');
+        col.setAttribute('data-column-key', column.key);
+        if (Number.isFinite(column.width)) {
+            col.style.width = `${column.width}px`;
+        }
+        tree.colgroupElement.appendChild(col);
+
+        const title = document.createElement('span');
+        title.className = 'infinite-tree-header-title';
+        title.appendChild(document.createTextNode(column.title));
+
+        const resizer = document.createElement('span');
+        resizer.className = 'infinite-tree-column-resizer';
+
+        const headerCell = document.createElement('th');
+        headerCell.className = 'infinite-tree-header-cell';
+        headerCell.setAttribute('scope', 'col');
+        headerCell.setAttribute('draggable', 'true');
+        headerCell.setAttribute('data-column-key', column.key);
+        if (column.align) {
+            headerCell.style.textAlign = column.align;
+        }
+        headerCell.appendChild(title);
+        headerCell.appendChild(resizer);
+        headerRow.appendChild(headerCell);
+    });
+
+    tree.headerElement.appendChild(headerRow);
+};
+
+// Sets the width of a column, which will not be less than the minWidth of the column, and updates the column width of the table layout.
+// @return {boolean} Returns true if the width has changed, false otherwise.
+const setColumnWidth = (tree, key, width) => {
+    const columns = tree.options.columns || [];
+    const index = columns.map(column => column.key).indexOf(String(key));
+    if (index < 0 || !Number.isFinite(width)) {
         return false;
     }
-    if (!(node instanceof Node)) {
-        error('The node must be a Node object.');
+
+    const column = columns[index];
+    width = Math.max(Math.round(width), column.minWidth || 0);
+    if (column.width === width) {
         return false;
     }
+
+    tree.options.columns = columns.slice();
+    tree.options.columns[index] = { ...column, width: width };
+
+    const col = tree.colgroupElement ? tree.colgroupElement.children[index] : null;
+    if (col) {
+        col.style.width = `${width}px`;
+    }
+
     return true;
 };
 
+// Renders all rows, and updates the list.
+const renderRows = (tree) => {
+    tree.rows.length = tree.nodes.length;
+    for (let i = 0; i < tree.nodes.length; ++i) {
+        const node = tree.nodes[i];
+        tree.rows[i] = tree.options.rowRenderer(node, tree.options);
+    }
+
+    tree.update();
+};
+
 const createRootNode = (rootNode) => {
     return extend(rootNode || new Node(), {
         parent: null,
@@ -64,29 +1845,54 @@ const createRootNode = (rootNode) => {
 
 class InfiniteTree extends events.EventEmitter {
     options = {
+        autoLoadMore: false, // Pass true to load the next page of child nodes when the "Load more" row is scrolled into view
         autoOpen: false,
+        checkStrategy: 'cascade', // 'cascade', 'independent', 'down-only', or 'up-only'
         droppable: false,
         shouldLoadNodes: null,
         loadNodes: null,
+        loadNodesRetry: false, // Pass an object { retries, delay, factor } to automatically retry loading nodes with backoff
+        loadNodesTimeout: 0, // The number of milliseconds before a loadNodes request times out. Defaults to 0 (no timeout).
+        loadMoreRowRenderer: defaultLoadMoreRowRenderer,
         rowRenderer: defaultRowRenderer,
         selectable: true,
+        selectionFollowsFocus: true, // Only available in the single selection mode
+        selectionMode: 'single', // 'single' or 'multiple'
+        searchNodes: null, // A function to search nodes on the server, see search() for details
+        shouldCheckNode: null,
         shouldSelectNode: null,
+        sortComparator: null, // A function (a, b) to compare two nodes, or 'folders-first', to keep child nodes sorted
 
         // When el is not specified, the tree will run in the stealth mode
         el: null,
 
         // The following options will have no effect in the stealth mode
+        columns: null, // An array of columns { key, title, width, minWidth, align, renderer } for the table layout
+        keyboardNavigation: false,
         layout: 'div',
+        loadErrorIcon: '⚠', // The icon displayed next to a node that failed to load
+        loadMoreErrorText: 'Failed to load. Retry',
+        loadMoreText: 'Load more…',
+        loadingMoreText: 'Loading…',
         noDataClass: 'infinite-tree-no-data',
         noDataText: 'No data',
         nodeIdAttr: 'data-id',
-        togglerClass: 'infinite-tree-toggler'
+        retryClass: 'infinite-tree-retry',
+        retryIcon: '↻',
+        retryText: 'Retry', // The title of the retry button
+        rowIdPrefix: null, // Defaults to a unique prefix for each tree
+        togglerClass: 'infinite-tree-toggler',
+        treeColumn: 'name', // The key of the column that contains the tree node with the toggler and the indentation in the table layout. Defaults to the first column if not found.
+        typeAhead: false // Pass true or an object { path, timeout } to enable type-ahead search
     };
 
     state = {
+        focusedNode: null,
         openNodes: [],
         rootNode: createRootNode(),
-        selectedNode: null
+        selectedNode: null,
+        selectedNodes: [],
+        matchedNodes: [] // The nodes that match the filter in tree order
     };
 
     clusterize = null;
@@ -99,6 +1905,12 @@ class InfiniteTree extends events.EventEmitter {
 
     filtered = false;
 
+    // The child nodes that have been sorted by filter score, along with their original order
+    unsortedChildNodes = [];
+
+    // The open nodes, the selection and the scroll position to restore on unfilter
+    unfilterState = null;
+
     // The following elements will have no effect in the stealth mode
     scrollElement = null;
 
@@ -108,6 +1920,43 @@ class InfiniteTree extends events.EventEmitter {
 
     droppableTarget = null;
 
+    // The column header of the table layout with the columns option
+    headerElement = null;
+
+    colgroupElement = null;
+
+    // The column being resized by dragging the resizer { key, startX, startWidth, changed }
+    columnResizing = null;
+
+    // The key of the column being dragged to reorder
+    draggingColumnKey = null;
+
+    // The last clicked node, which will be used as the anchor of a shift-click range selection
+    selectionAnchor = null;
+
+    // The cancelable events that have been approved by the listeners
+    approvedEvents = [];
+
+    // The pending loadNodes requests
+    loadNodesRequests = [];
+
+    // The "Load more" rows of the paginated nodes, see getLoadMoreRows for details
+    loadMoreRows = [];
+
+    // The abort controller of the pending search
+    searchController = null;
+
+    // The filter layers added by filter() and addFilter()
+    filterLayers = [];
+
+    // The pending filterAsync run
+    filterTask = null;
+
+    // The characters typed for type-ahead search
+    typeAheadText = '';
+
+    typeAheadTimer = null;
+
     contentListener = {
         'click': (event) => {
             event = event || window.event;
@@ -143,6 +1992,7 @@ class InfiniteTree extends events.EventEmitter {
 
                 let itemTarget = null;
                 let clickToggler = false;
+                let clickRetry = false;
 
                 if (event.target) {
                     itemTarget = (event.target !== event.currentTarget) ? event.target : null;
@@ -154,6 +2004,9 @@ class InfiniteTree extends events.EventEmitter {
                     if (elementClass(itemTarget).has(this.options.togglerClass)) {
                         clickToggler = true;
                     }
+                    if (elementClass(itemTarget).has(this.options.retryClass)) {
+                        clickRetry = true;
+                    }
                     itemTarget = itemTarget.parentElement;
                 }
 
@@ -161,9 +2014,24 @@ class InfiniteTree extends events.EventEmitter {
                     return;
                 }
 
+                // Click on the "Load more" row to load the next page of child nodes
+                if (itemTarget.hasAttribute('data-load-more')) {
+                    const parentNode = this.getNodeById(itemTarget.getAttribute('data-load-more'));
+                    if (parentNode) {
+                        this.loadMoreNodes(parentNode);
+                    }
+                    return;
+                }
+
                 const id = itemTarget.getAttribute(this.options.nodeIdAttr);
                 const node = this.getNodeById(id);
-                if (!node) {
+                if (!node || isNodeDisabled(node)) {
+                    return;
+                }
+
+                // Click on the retry button to load the child nodes again
+                if (clickRetry) {
+                    this.retryLoadNodes(node, { async: true });
                     return;
                 }
 
@@ -173,6 +2041,37 @@ class InfiniteTree extends events.EventEmitter {
                     return;
                 }
 
+                this.focusNode(node, { autoScroll: false });
+
+                if (this.options.selectionMode === 'multiple') {
+                    // Ctrl-click (or Cmd-click) toggles the selection of a node
+                    if (event.ctrlKey || event.metaKey) {
+                        this.selectionAnchor = node;
+                        if (this.isSelected(node)) {
+                            this.deselectNodes(node);
+                        } else if (this.selectNodes(node)) {
+                            this.state.selectedNode = node;
+                        }
+                        return;
+                    }
+
+                    // Shift-click selects a range of visible nodes starting from the last clicked node, or the last selected node if no node has been clicked
+                    const anchorIndex = (this.nodes.indexOf(this.selectionAnchor) >= 0)
+                        ? this.nodes.indexOf(this.selectionAnchor)
+                        : this.nodes.indexOf(this.state.selectedNode);
+                    if (event.shiftKey && anchorIndex >= 0) {
+                        const nodeIndex = this.nodes.indexOf(node);
+                        const rangeFrom = Math.min(anchorIndex, nodeIndex);
+                        const rangeTo = Math.max(anchorIndex, nodeIndex);
+                        const nodes = this.nodes
+                            .slice(rangeFrom, rangeTo + 1)
+                            .filter(node => node.state.filtered !== false);
+                        this.selectNodes(nodes, { replace: true });
+                        return;
+                    }
+                }
+
+                this.selectionAnchor = node;
                 this.selectNode(node); // selectNode will re-render the tree
             }, 0);
         },
@@ -181,8 +2080,25 @@ class InfiniteTree extends events.EventEmitter {
             this.emit('doubleClick', event);
         },
         'keydown': (event) => {
+            event = event || window.event;
+
             // Emit a "keyDown" event
             this.emit('keyDown', event);
+
+            // Call event.preventDefault() in the "keyDown" event handler to skip the keyboard navigation
+            if (event.defaultPrevented || event.returnValue === false) {
+                return;
+            }
+
+            if (this.options.typeAhead && handleTypeAhead(this, event)) {
+                preventDefault(event);
+                return;
+            }
+
+            if (this.options.keyboardNavigation && handleKeyboardNavigation(this, event)) {
+                // Prevent the default scroll
+                preventDefault(event);
+            }
         },
         'keyup': (event) => {
             // Emit a "keyUp" event
@@ -193,7 +2109,21 @@ class InfiniteTree extends events.EventEmitter {
         'dragstart': (event) => {
             event = event || window.event;
 
-            this.draggableTarget = event.target || event.srcElement;
+            const target = event.target || event.srcElement;
+
+            let itemTarget = target;
+            while (itemTarget && itemTarget.parentElement !== this.contentElement) {
+                itemTarget = itemTarget.parentElement;
+            }
+
+            // Disabled nodes cannot be dragged
+            if (itemTarget && isNodeDisabled(this.getNodeById(itemTarget.getAttribute(this.options.nodeIdAttr)))) {
+                preventDefault(event);
+                this.draggableTarget = null;
+                return;
+            }
+
+            this.draggableTarget = target;
         },
         // https://developer.mozilla.org/en-US/docs/Web/Events/dragend
         // The dragend event is fired when a drag operation is being ended (by releasing a mouse button or hitting the escape key).
@@ -241,12 +2171,13 @@ class InfiniteTree extends events.EventEmitter {
             elementClass(this.droppableTarget).remove(hoverClass);
             this.droppableTarget = null;
 
-            let canDrop = true; // Defaults to true
+            const id = itemTarget.getAttribute(this.options.nodeIdAttr);
+            const node = this.getNodeById(id);
 
-            if (typeof accept === 'function') {
-                const id = itemTarget.getAttribute(this.options.nodeIdAttr);
-                const node = this.getNodeById(id);
+            // Disabled nodes cannot be drop targets
+            let canDrop = !isNodeDisabled(node); // Defaults to true
 
+            if (canDrop && typeof accept === 'function') {
                 canDrop = !!accept.call(this, event, {
                     type: 'dragenter',
                     draggableTarget: this.draggableTarget,
@@ -283,9 +2214,10 @@ class InfiniteTree extends events.EventEmitter {
             const id = this.droppableTarget.getAttribute(this.options.nodeIdAttr);
             const node = this.getNodeById(id);
 
-            let canDrop = true; // Defaults to true
+            // Disabled nodes cannot be drop targets
+            let canDrop = !isNodeDisabled(node); // Defaults to true
 
-            if (typeof accept === 'function') {
+            if (canDrop && typeof accept === 'function') {
                 canDrop = !!accept.call(this, event, {
                     type: 'drop',
                     draggableTarget: this.draggableTarget,
@@ -307,6 +2239,113 @@ class InfiniteTree extends events.EventEmitter {
         }
     };
 
+    headerListener = {
+        // Starts resizing a column when pressing the mouse button on the resizer of a header cell
+        'mousedown': (event) => {
+            event = event || window.event;
+
+            const target = event.target || event.srcElement;
+            if (!target || !elementClass(target).has('infinite-tree-column-resizer')) {
+                return;
+            }
+
+            const headerCell = findHeaderCell(this, target);
+            const key = headerCell ? headerCell.getAttribute('data-column-key') : null;
+            const column = (this.options.columns || []).filter(column => column.key === key)[0];
+            if (!column) {
+                return;
+            }
+
+            // Prevent from dragging the header cell and selecting text
+            preventDefault(event);
+
+            this.columnResizing = {
+                key: key,
+                startX: event.clientX,
+                startWidth: Number.isFinite(column.width) ? column.width : headerCell.offsetWidth,
+                changed: false
+            };
+
+            addEventListener(document, 'mousemove', this.headerListener.mousemove);
+            addEventListener(document, 'mouseup', this.headerListener.mouseup);
+        },
+        'mousemove': (event) => {
+            event = event || window.event;
+
+            if (!this.columnResizing) {
+                return;
+            }
+
+            const { key, startX, startWidth } = this.columnResizing;
+            if (setColumnWidth(this, key, startWidth + (event.clientX - startX))) {
+                this.columnResizing.changed = true;
+            }
+        },
+        'mouseup': () => {
+            const columnResizing = this.columnResizing;
+
+            removeEventListener(document, 'mousemove', this.headerListener.mousemove);
+            removeEventListener(document, 'mouseup', this.headerListener.mouseup);
+            this.columnResizing = null;
+
+            if (columnResizing && columnResizing.changed) {
+                // Emit a "columnsChange" event
+                this.emit('columnsChange', copyColumns(this.options.columns));
+            }
+        },
+        // Starts dragging a header cell to reorder the columns
+        'dragstart': (event) => {
+            event = event || window.event;
+
+            const headerCell = findHeaderCell(this, event.target || event.srcElement);
+            if (!headerCell || this.columnResizing) {
+                preventDefault(event);
+                return;
+            }
+
+            this.draggingColumnKey = headerCell.getAttribute('data-column-key');
+
+            // A header cell cannot be dropped on nodes
+            stopPropagation(event);
+
+            if (event.dataTransfer) {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', this.draggingColumnKey);
+            }
+        },
+        'dragover': (event) => {
+            event = event || window.event;
+
+            // Allow to drop a header cell on the header
+            if (this.draggingColumnKey !== null) {
+                preventDefault(event);
+            }
+        },
+        // Moves the dragged column to the position of the column being dropped on
+        'drop': (event) => {
+            event = event || window.event;
+
+            const key = this.draggingColumnKey;
+            if (key === null) {
+                return;
+            }
+
+            preventDefault(event);
+            this.draggingColumnKey = null;
+
+            const headerCell = findHeaderCell(this, event.target || event.srcElement);
+            if (!headerCell) {
+                return;
+            }
+
+            const index = this.options.columns.map(column => column.key).indexOf(headerCell.getAttribute('data-column-key'));
+            this.moveColumn(key, index);
+        },
+        'dragend': () => {
+            this.draggingColumnKey = null;
+        }
+    };
+
     // Creates new InfiniteTree object.
     constructor(el, options) {
         super();
@@ -323,6 +2362,15 @@ class InfiniteTree extends events.EventEmitter {
             ...options
         };
 
+        if (this.options.columns) {
+            this.options.columns = normalizeColumns(this.options.columns);
+        }
+
+        if (!this.options.rowIdPrefix) {
+            // A unique prefix for the id attribute of each row
+            this.options.rowIdPrefix = `infinite-tree-${++treeCount}-`;
+        }
+
         this.create();
 
         // Load tree data if it's provided
@@ -367,6 +2415,10 @@ class InfiniteTree extends events.EventEmitter {
                 'infinite-tree',
                 'infinite-tree-content'
             );
+            this.contentElement.setAttribute('role', 'tree');
+
+            // Render the column header of the table layout
+            renderColumnHeader(this);
 
             this.options.el.appendChild(this.scrollElement);
 
@@ -384,6 +2436,8 @@ class InfiniteTree extends events.EventEmitter {
             });
             this.clusterize.on('clusterDidChange', () => {
                 this.emit('clusterDidChange');
+
+                autoLoadMoreNodes(this);
             });
 
             addEventListener(this.contentElement, 'click', this.contentListener.click);
@@ -405,6 +2459,10 @@ class InfiniteTree extends events.EventEmitter {
     destroy() {
         this.clear();
 
+        clearTimeout(this.typeAheadTimer);
+        this.typeAheadText = '';
+        this.typeAheadTimer = null;
+
         if (this.options.el) {
             removeEventListener(this.contentElement, 'click', this.contentListener.click);
             removeEventListener(this.contentElement, 'dblclick', this.contentListener.dblclick);
@@ -420,6 +2478,16 @@ class InfiniteTree extends events.EventEmitter {
                 removeEventListener(this.contentElement, 'drop', this.contentListener.drop);
             }
 
+            if (this.headerElement) {
+                removeEventListener(this.headerElement, 'mousedown', this.headerListener.mousedown);
+                removeEventListener(this.headerElement, 'dragstart', this.headerListener.dragstart);
+                removeEventListener(this.headerElement, 'dragover', this.headerListener.dragover);
+                removeEventListener(this.headerElement, 'drop', this.headerListener.drop);
+                removeEventListener(this.headerElement, 'dragend', this.headerListener.dragend);
+                removeEventListener(document, 'mousemove', this.headerListener.mousemove);
+                removeEventListener(document, 'mouseup', this.headerListener.mouseup);
+            }
+
             if (this.clusterize) {
                 this.clusterize.destroy(true); // True to remove all data from the list
                 this.clusterize = null;
@@ -440,6 +2508,10 @@ class InfiniteTree extends events.EventEmitter {
 
             this.contentElement = null;
             this.scrollElement = null;
+            this.headerElement = null;
+            this.colgroupElement = null;
+            this.columnResizing = null;
+            this.draggingColumnKey = null;
         }
     }
 
@@ -448,6 +2520,7 @@ class InfiniteTree extends events.EventEmitter {
     // * If the parent has children, the method adds the new child to it at the specified index.
     // * If the parent does not have children, the method adds the new child to the parent.
     // * If the index value is greater than or equal to the number of children in the parent, the method adds the child at the end of the children.
+    // * If the sortComparator option is set, the method adds the new children at their sorted positions, and the index will be ignored.
     // @param {Array} newNodes An array of new child nodes.
     // @param {number} [index] The 0-based index of where to insert the child node.
     // @param {Node} parentNode The Node object that defines the parent node.
@@ -478,14 +2551,34 @@ class InfiniteTree extends events.EventEmitter {
             newNode.parent = parentNode;
         });
 
-        // Insert new child node at the specified index
-        parentNode.children.splice.apply(parentNode.children, [index, 0].concat(newNodes));
+        const comparator = getSortComparator(this.options.sortComparator);
+        if (comparator) {
+            // Insert new child nodes at their sorted positions regardless of the index
+            newNodes = newNodes.map(newNode => ((newNode instanceof Node) ? newNode : new Node(newNode)));
+            parentNode.children = stableSortNodes(parentNode.children.concat(newNodes), comparator);
+
+            // Get the index of the first new node within the array of child nodes
+            index = parentNode.children.findIndex(childNode => newNodes.indexOf(childNode) >= 0);
+        } else {
+            // Insert new child node at the specified index
+            parentNode.children.splice.apply(parentNode.children, [index, 0].concat(newNodes));
 
-        // Get the index of the first new node within the array of child nodes
-        index = parentNode.children.indexOf(newNodes[0]);
+            // Get the index of the first new node within the array of child nodes
+            index = parentNode.children.indexOf(newNodes[0]);
+        }
 
         const deleteCount = parentNode.state.total;
         const nodes = flatten(parentNode.children, { openNodes: this.state.openNodes });
+
+        // The new child nodes have been converted to Node objects
+        const addedNodes = comparator ? newNodes : parentNode.children.slice(index, index + newNodes.length);
+
+        // Update the check state with the new child nodes
+        const changedNodes = refreshCheckState(this, parentNode, addedNodes);
+
+        // Apply the active filter to the new child nodes
+        const filterChangedNodes = refilterBranch(this, parentNode, { childNodes: addedNodes });
+
         const rows = [];
         // Update rows
         rows.length = nodes.length;
@@ -520,12 +2613,35 @@ class InfiniteTree extends events.EventEmitter {
             });
         });
 
+        // Update the rows corresponding to the ancestors whose check state or visibility has changed
+        updateRows(this, changedNodes);
+        updateFilterChangedRows(this, filterChangedNodes);
+
         // Update list
         this.update();
 
         return true;
     }
 
+    // Adds a named filter layer, or replaces the filter layer with the same name. The filter layers are combined from the first to the last with the operator of each layer, and only the changed layer will be tested again.
+    // A node matches the filter if the combination of its layer matches is true. A node is kept if the combination of its layer visibility is true, where a node is visible in a layer if it matches the layer, or it is a descendant of a matched node (includeDescendants), or an ancestor of a node that is kept on its own (includeAncestors).
+    // @param {string} name The name of the filter layer. The name "default" is used by filter().
+    // @param {string|RegExp|function} predicate See filter() for details.
+    // @param {object} [options] The options object. See filter() for the filter options.
+    // @param {string} [options.operator] 'and' or 'or'. The operator to combine the layer with the previous layers. Defaults to 'and'.
+    // @return {object} Returns the filter result. See filter() for details.
+    // @example
+    //
+    // tree.addFilter('search', 'keyword', { mode: 'fuzzy' });
+    // tree.addFilter('modified', node => node.modified, { includeAncestors: true, includeDescendants: false });
+    // tree.addFilter('permission', node => node.readable, { includeAncestors: false });
+    // tree.removeFilter('modified');
+    addFilter(name, predicate, options) {
+        setFilterLayer(this, name, predicate, options);
+
+        return runFilterTask(this, { changedLayers: [name] });
+    }
+
     // Adds a new child node to the end of the list of children of a specified parent node.
     // * If the parent is null or undefined, inserts the child at the specified index in the top-level.
     // * If the parent has children, the method adds the child as the last child.
@@ -546,10 +2662,26 @@ class InfiniteTree extends events.EventEmitter {
         return this.addChildNodes(newNodes, index, parentNode);
     }
 
+    // Cancels the pending search started by search(). The promise returned by search() will be resolved to null.
+    // @return {boolean} Returns true if a pending search was canceled, false otherwise.
+    cancelSearch() {
+        const controller = this.searchController;
+        if (!controller) {
+            return false;
+        }
+
+        this.searchController = null;
+        controller.abort(createAbortError('The search was canceled.'));
+
+        return true;
+    }
+
     // Checks or unchecks a node.
     // @param {Node} node The Node object.
     // @param {boolean} [checked] Whether to check or uncheck the node. If not specified, it will toggle between checked and unchecked state.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.force] Pass true to check or uncheck a disabled node. Defaults to false.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     // @example
     //
     // tree.checkNode(node); // toggle checked and unchecked state
@@ -563,13 +2695,13 @@ class InfiniteTree extends events.EventEmitter {
     // false         | false               | The node and all of its children are unchecked.
     // true          | false               | The node and all of its children are checked.
     // true          | true                | The node will appear as indeterminate when the node is checked and some (but not all) of its children are checked.
-    checkNode(node, checked) {
+    checkNode(node, checked, options) {
+        const { force = false } = { ...options };
+
         if (!ensureNodeInstance(node)) {
             return false;
         }
 
-        this.emit('willCheckNode', node);
-
         // Retrieve node index
         const nodeIndex = this.nodes.indexOf(node);
         if (nodeIndex < 0) {
@@ -577,89 +2709,103 @@ class InfiniteTree extends events.EventEmitter {
             return false;
         }
 
-        if (checked === true) {
-            node.state.checked = true;
-            node.state.indeterminate = false;
-        } else if (checked === false) {
-            node.state.checked = false;
-            node.state.indeterminate = false;
+        if (!isCheckable(this, node, { force })) {
+            return false;
+        }
+
+        const canCheck = emitCancelableEvent(this, 'willCheckNode', node, { checked });
+        if (canCheck !== true) {
+            return canCheck && handleDeferredAction(deferAction(this, 'willCheckNode', node, canCheck, () => this.checkNode(node, checked, options)), options);
+        }
+
+        const changedNodes = [];
+
+        if (checked === true || checked === false) {
+            setCheckState(node, checked, false, changedNodes);
         } else {
-            node.state.checked = !!node.state.checked;
-            node.state.indeterminate = !!node.state.indeterminate;
-            node.state.checked = (node.state.checked && node.state.indeterminate) || (!node.state.checked);
-            node.state.indeterminate = false;
+            // Toggle between checked and unchecked state, an indeterminate node will become checked
+            setCheckState(node, !node.state.checked || !!node.state.indeterminate, false, changedNodes);
         }
 
-        let topmostNode = node;
+        const topmostNode = propagateCheckState(this, node, changedNodes);
 
-        const updateChildNodes = (parentNode) => {
-            let childNode = parentNode.getFirstChild(); // Ignore parent node
-            while (childNode) {
-                // Update checked and indeterminate state
-                childNode.state.checked = parentNode.state.checked;
-                childNode.state.indeterminate = false;
+        this.updateNode(topmostNode);
 
-                if (childNode.hasChildren()) {
-                    childNode = childNode.getFirstChild();
-                } else {
-                    // Find the parent level
-                    while ((childNode.getNextSibling() === null) && (childNode.parent !== parentNode)) {
-                        // Use child-parent link to get to the parent level
-                        childNode = childNode.getParent();
-                    }
+        // Emit a "checkNode" event
+        this.emit('checkNode', node);
 
-                    // Get next sibling
-                    childNode = childNode.getNextSibling();
-                }
-            }
-        };
+        if (changedNodes.length > 0) {
+            // Emit a "checkChange" event
+            this.emit('checkChange', { nodes: changedNodes });
+        }
 
-        const updateParentNodes = (childNode) => {
-            let parentNode = childNode.parent;
+        return true;
+    }
 
-            while (parentNode && parentNode.state.depth >= 0) {
-                topmostNode = parentNode;
+    // Checks or unchecks multiple nodes at once, and renders the tree only once.
+    // @param {Node|array} nodes A Node object or an array of Node objects.
+    // @param {boolean} checked Whether to check or uncheck the nodes.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.force] Pass true to check or uncheck disabled nodes. Defaults to false.
+    // @param {boolean} [options.silent] Pass true to prevent "checkNode" and "checkChange" events from being triggered. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    checkNodes(nodes, checked, options) {
+        const { force = false, silent = false } = { ...options };
+        const checkedNodes = [];
+        let changedNodes = [];
 
-                let checkedCount = 0;
-                let indeterminate = false;
+        nodes = ensureArray(nodes).filter((node) => {
+            return ensureNodeInstance(node) && isNodeInTree(this, node);
+        });
 
-                const len = parentNode.children ? parentNode.children.length : 0;
-                for (let i = 0; i < len; ++i) {
-                    const childNode = parentNode.children[i];
-                    indeterminate = indeterminate || (!!childNode.state.indeterminate);
-                    if (childNode.state.checked) {
-                        checkedCount++;
-                    }
-                }
+        uniqueNodes(nodes).forEach((node) => {
+            if (!isCheckable(this, node, { force })) {
+                return;
+            }
+
+            // Only a synchronous approval is supported when checking multiple nodes at once
+            if (emitCancelableEvent(this, 'willCheckNode', node, { checked: !!checked }) !== true) {
+                return;
+            }
+
+            setCheckState(node, !!checked, false, changedNodes);
+            propagateCheckState(this, node, changedNodes);
+            checkedNodes.push(node);
+        });
+
+        if (checkedNodes.length === 0) {
+            return false;
+        }
 
-                if (checkedCount === 0) {
-                    parentNode.state.indeterminate = false;
-                    parentNode.state.checked = false;
-                } else if ((checkedCount > 0 && checkedCount < len) || indeterminate) {
-                    parentNode.state.indeterminate = true;
-                    parentNode.state.checked = true;
-                } else {
-                    parentNode.state.indeterminate = false;
-                    parentNode.state.checked = true;
-                }
+        // The state of a node might have been changed by more than one node
+        changedNodes = uniqueNodes(changedNodes);
 
-                parentNode = parentNode.parent;
-            }
-        };
+        // Update the rows corresponding to the nodes
+        updateRows(this, changedNodes);
 
-        updateChildNodes(node);
-        updateParentNodes(node);
+        // Update list
+        this.update();
 
-        this.updateNode(topmostNode);
+        if (!silent) {
+            checkedNodes.forEach((node) => {
+                // Emit a "checkNode" event
+                this.emit('checkNode', node);
+            });
 
-        // Emit a "checkNode" event
-        this.emit('checkNode', node);
+            if (changedNodes.length > 0) {
+                // Emit a "checkChange" event
+                this.emit('checkChange', { nodes: changedNodes });
+            }
+        }
 
         return true;
     }
 
     // Clears the tree.
     clear() {
+        abortLoadNodes(this, () => true);
+        cancelFilterTask(this);
+
         if (this.clusterize) {
             this.clusterize.clear();
         }
@@ -668,33 +2814,45 @@ class InfiniteTree extends events.EventEmitter {
         this.rows = [];
         this.state.openNodes = [];
         this.state.rootNode = createRootNode(this.state.rootNode);
+        this.state.focusedNode = null;
         this.state.selectedNode = null;
+        this.state.selectedNodes = [];
+        this.state.matchedNodes = [];
+        this.unsortedChildNodes = [];
+        this.unfilterState = null;
+        this.selectionAnchor = null;
+        this.loadMoreRows = [];
     }
 
     // Closes a node to hide its children.
     // @param {Node} node The Node object.
     // @param {object} [options] The options object.
     // @param {boolean} [options.silent] Pass true to prevent "closeNode" and "selectNode" events from being triggered.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @param {boolean} [options.force] Pass true to close a disabled node. Defaults to false.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     closeNode(node, options) {
         const {
             async = false,
             asyncCallback = noop,
-            silent = false
+            silent = false,
+            force = false
         } = { ...options };
 
         if (!ensureNodeInstance(node)) {
             return false;
         }
 
-        this.emit('willCloseNode', node);
-
         // Cannot close the root node
         if (node === this.state.rootNode) {
             error('Cannot close the root node');
             return false;
         }
 
+        // Disabled nodes cannot be toggled unless forced
+        if (!force && isNodeDisabled(node)) {
+            return false;
+        }
+
         // Retrieve node index
         const nodeIndex = this.nodes.indexOf(node);
         if (nodeIndex < 0) {
@@ -702,8 +2860,23 @@ class InfiniteTree extends events.EventEmitter {
             return false;
         }
 
-        // Check if the closeNode action can be performed
-        if (this.state.openNodes.indexOf(node) < 0) {
+        const isLoadingNode = (loadingNode) => (loadingNode === node) || node.contains(loadingNode);
+        const isOpen = (this.state.openNodes.indexOf(node) >= 0);
+
+        // Check if the closeNode action can be performed, or the loading of the node can be canceled
+        if (!isOpen && !this.loadNodesRequests.some(request => isLoadingNode(request.node))) {
+            return false;
+        }
+
+        const canClose = emitCancelableEvent(this, 'willCloseNode', node);
+        if (canClose !== true) {
+            return canClose && handleDeferredAction(deferAction(this, 'willCloseNode', node, canClose, () => this.closeNode(node, options)), options);
+        }
+
+        // Abort loading the child nodes of the node and its descendants
+        abortLoadNodes(this, isLoadingNode);
+
+        if (!isOpen) {
             return false;
         }
 
@@ -715,8 +2888,17 @@ class InfiniteTree extends events.EventEmitter {
         this.update();
 
         const fn = () => {
-            // Keep selected node unchanged if "node" is equal to "this.state.selectedNode"
-            if (this.state.selectedNode && (this.state.selectedNode !== node)) {
+            if (this.options.selectionMode === 'multiple') {
+                // Replace the selected nodes that will be hidden with the node being closed
+                const hiddenNodes = this.state.selectedNodes.filter(selectedNode => node.contains(selectedNode));
+                if (hiddenNodes.length > 0) {
+                    const fallbackNodes = ensureArray(getFallbackNode(this, [node]));
+                    const selectedNodes = difference(this.state.selectedNodes, hiddenNodes.concat(fallbackNodes)).concat(fallbackNodes);
+                    this.selectNodes(selectedNodes, { ...options, replace: true });
+                }
+            } else if (this.state.selectedNode && (this.state.selectedNode !== node)) {
+                // Keep selected node unchanged if "node" is equal to "this.state.selectedNode"
+                //
                 // row #0 - node.0         => parent node (total=4)
                 // row #1   - node.0.0     => close this node; next selected node (total=2)
                 // row #2       node.0.0.0 => selected node (total=0)
@@ -728,10 +2910,16 @@ class InfiniteTree extends events.EventEmitter {
                 const rangeTo = nodeIndex + total;
 
                 if ((rangeFrom <= selectedIndex) && (selectedIndex <= rangeTo)) {
-                    this.selectNode(node, options);
+                    // Select the node being closed, or its closest ancestor if it is disabled
+                    this.selectNode(getFallbackNode(this, [node]), options);
                 }
             }
 
+            // Move the focus to the node being closed if the focused node will be hidden
+            if (this.state.focusedNode && node.contains(this.state.focusedNode)) {
+                this.focusNode(node, { ...options, autoScroll: false });
+            }
+
             node.state.open = false; // Set the open state to false
             const openNodes = this.state.openNodes.filter((node) => node.state.open);
             this.state.openNodes = openNodes;
@@ -773,14 +2961,170 @@ class InfiniteTree extends events.EventEmitter {
         return true;
     }
 
-    // Filters nodes. Use a string or a function to test each node of the tree. Otherwise, it will render nothing after filtering (e.g. tree.filter(), tree.filter(null), tree.flter(0), tree.filter({}), etc.).
-    // @param {string|function} predicate A keyword string, or a function to test each node of the tree. If the predicate is an empty string, all nodes will be filtered. If the predicate is a function, returns true to keep the node, false otherwise.
+    // Closes a node to hide its children.
+    // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "closeNode" and "selectNode" events from being triggered.
+    // @return {Promise} Returns a promise that resolves to true after the rows are rendered, or false if the node cannot be closed.
+    closeNodeAsync(node, options) {
+        return callAsync((options) => this.closeNode(node, options), options);
+    }
+
+    // Closes all nodes in one render pass. The selected and focused nodes will be moved to their closest visible ancestors if they become hidden.
+    // A node will remain open if a listener of the "willCloseNode" event cancels or defers closing the node.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "closeNode", "selectNode" and "focusNode" events from being triggered.
+    // @return {boolean} Returns true on success, false otherwise.
+    collapseAll(options) {
+        const { silent = false } = { ...options };
+        const rootNode = this.state.rootNode;
+
+        // Only a synchronous approval is supported when closing multiple nodes at once
+        const openNodes = this.state.openNodes.filter(node => node.state.open);
+        const keptOpenNodes = openNodes.filter(node => emitCancelableEvent(this, 'willCloseNode', node) !== true);
+
+        // Returns the topmost ancestor that will be closed, or the node itself if it will remain visible
+        const getVisibleNode = (node) => {
+            let visibleNode = node;
+            for (let p = node.parent; p && p !== rootNode; p = p.parent) {
+                if (keptOpenNodes.indexOf(p) < 0) {
+                    visibleNode = p;
+                }
+            }
+            return visibleNode;
+        };
+        const isVisibleNode = (node) => !!node && (getVisibleNode(node) === node);
+
+        // The nodes that are visible and will be closed
+        const closedNodes = difference(openNodes, keptOpenNodes).filter(node => {
+            for (let p = node.parent; p && p !== rootNode; p = p.parent) {
+                if (!p.state.open) {
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        // Abort loading the child nodes of the nodes that will be closed or hidden
+        abortLoadNodes(this, (loadingNode) => !isVisibleNode(loadingNode) || (keptOpenNodes.indexOf(loadingNode) < 0));
+
+        // Move the selection and the focus to the closest visible ancestors
+        const getSelectableNode = (node) => (isVisibleNode(node) ? node : getFallbackNode(this, [getVisibleNode(node)]));
+        if (this.options.selectionMode === 'multiple') {
+            const selectedNodes = this.state.selectedNodes.map(getSelectableNode)
+                .filter((node, index, nodes) => !!node && (nodes.indexOf(node) === index));
+            if (difference(this.state.selectedNodes, selectedNodes).length > 0) {
+                this.selectNodes(selectedNodes, { replace: true, silent: silent });
+            }
+        } else if (this.state.selectedNode && !isVisibleNode(this.state.selectedNode)) {
+            this.selectNode(getSelectableNode(this.state.selectedNode), { autoScroll: false, silent: silent });
+        }
+        if (this.state.focusedNode && !isVisibleNode(this.state.focusedNode)) {
+            this.focusNode(getVisibleNode(this.state.focusedNode), { autoScroll: false, silent: silent });
+        }
+
+        this.flattenChildNodes(rootNode).forEach((node) => {
+            node.state.open = (keptOpenNodes.indexOf(node) >= 0);
+        });
+        this.state.openNodes = keptOpenNodes;
+
+        // Update nodes & rows
+        this.nodes = flatten(rootNode.children, { openNodes: this.state.openNodes });
+        this.rows = this.nodes.map(node => this.options.rowRenderer(node, this.options));
+
+        // Update list
+        this.update();
+
+        if (!silent) {
+            closedNodes.forEach((node) => {
+                // Emit a "closeNode" event
+                this.emit('closeNode', node);
+            });
+        }
+
+        return true;
+    }
+
+    // Removes nodes from the selection.
+    // @param {Node|array} [nodes] A Node object or an array of Node objects. If not specified, deselects all selected nodes.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "selectionChange" event from being triggered. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    deselectNodes(nodes, options) {
+        const { silent = false } = { ...options };
+
+        if (!this.options.selectable) {
+            return false;
+        }
+
+        const prevSelectedNodes = this.getSelectedNodes();
+        const removedNodes = (nodes === undefined || nodes === null)
+            ? prevSelectedNodes
+            : ensureArray(nodes).filter(node => prevSelectedNodes.indexOf(node) >= 0);
+
+        if (removedNodes.length === 0) {
+            return false;
+        }
+
+        removedNodes.forEach((node) => {
+            node.state.selected = false;
+
+            // Update the row corresponding to the node
+            const nodeIndex = this.nodes.indexOf(node);
+            if (nodeIndex >= 0) {
+                this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
+            }
+        });
+
+        const selectedNodes = difference(prevSelectedNodes, removedNodes);
+        this.state.selectedNodes = selectedNodes;
+
+        if (selectedNodes.indexOf(this.state.selectedNode) < 0) {
+            this.state.selectedNode = selectedNodes[selectedNodes.length - 1] || null;
+        }
+
+        // Update list
+        this.update();
+
+        if (!silent) {
+            // Emit a "selectionChange" event
+            this.emit('selectionChange', {
+                addedNodes: [],
+                removedNodes: removedNodes
+            });
+        }
+
+        return true;
+    }
+
+    // Opens all nodes in one flatten and render pass. The child nodes of load-on-demand nodes will be loaded
+    // with a concurrency limit, and the progress will be reported through the "expandProgress" event.
+    // @param {object} [options] The options object.
+    // @param {number} [options.maxDepth] The number of levels to open. Defaults to Infinity.
+    // @param {number} [options.concurrency] The maximum number of concurrent loadNodes requests. Defaults to 4.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" event from being triggered.
+    // @return {boolean} Returns true on success, false otherwise.
+    expandAll(options) {
+        return expandNodes(this, this.state.rootNode, options);
+    }
+
+    // Filters nodes. Use a string, a regular expression, or a function to test each node of the tree. Otherwise, it will render nothing after filtering (e.g. tree.filter(), tree.filter(null), tree.flter(0), tree.filter({}), etc.).
+    // The filter replaces the previous one, and it will be combined with the filter layers added by addFilter().
+    // The filter stays active until unfilter() is called, and it will be applied to the nodes that are added, moved, or updated.
+    // Nodes that match the predicate will have node.state.filterMatched set to true, while the ancestor and descendant nodes that are kept only have node.state.filtered set to true.
+    // Nodes that match a string or a regular expression will have the matched character ranges in node.state.filterMatches (e.g. { name: [[0, 3], [5, 6]] }), and the match score in node.state.filterScore.
+    // @param {string|RegExp|function} predicate A keyword string, a regular expression, or a function to test each node of the tree. If the predicate is an empty string, all nodes will be filtered. If the predicate is a function, returns true to keep the node, false otherwise.
     // @param {object} [options] The options object.
     // @param {boolean} [options.caseSensitive] Case sensitive string comparison. Defaults to false. This option is only available for string comparison.
-    // @param {boolean} [options.exactMatch] Exact string matching. Defaults to false. This option is only available for string comparison.
+    // @param {boolean} [options.exactMatch] Exact string matching. Defaults to false. This option is only available for the substring mode.
     // @param {string} [options.filterPath] Gets the value at path of Node object. Defaults to 'name'. This option is only available for string comparison.
+    // @param {boolean} [options.autoOpen] Whether to open the ancestors of every matched node. Defaults to false. The open nodes, the selection and the scroll position before filtering will be restored by calling unfilter().
+    // @param {array} [options.filterPaths] An array of paths to match against, a node is kept if any of the values matches. Defaults to [options.filterPath]. This option is only available for string comparison.
     // @param {boolean} [options.includeAncestors] Whether to include ancestor nodes. Defaults to true.
     // @param {boolean} [options.includeDescendants] Whether to include descendant nodes. Defaults to true.
+    // @param {string} [options.mode] 'substring', 'fuzzy', or 'regex'. Defaults to 'substring'. In the fuzzy mode, the characters of the keyword must appear in order, but not necessarily consecutively. In the regex mode, the keyword is a regular expression pattern, and an invalid pattern matches nothing.
+    // @param {boolean} [options.sortByScore] Whether to sort sibling nodes by the match score while the filter is active. Defaults to false. The original order will be restored by calling unfilter().
+    // @return {object} Returns the filter result { matchedNodes, matchedCount, filteredCount, totalCount }, where matchedNodes are the nodes that match the predicate in tree order, filteredCount is the number of nodes that are kept including ancestors and descendants, and totalCount is the number of nodes.
     // @example
     //
     // const filterOptions = {
@@ -795,6 +3139,15 @@ class InfiniteTree extends events.EventEmitter {
     // @example
     //
     // const filterOptions = {
+    //     filterPaths: ['name', 'props.description'],
+    //     mode: 'fuzzy',
+    //     sortByScore: true
+    // };
+    // tree.filter('kwd', filterOptions);
+    //
+    // @example
+    //
+    // const filterOptions = {
     //     includeAncestors: true,
     //     includeDescendants: true
     // };
@@ -804,83 +3157,64 @@ class InfiniteTree extends events.EventEmitter {
     //     return filterText.toLowerCase().indexOf(keyword) >= 0;
     // }, filterOptions);
     filter(predicate, options) {
+        setFilterLayer(this, defaultFilterName, predicate, options);
+
+        return runFilterTask(this, { changedLayers: [defaultFilterName] });
+    }
+
+    // Filters nodes without blocking the UI. The nodes will be processed in chunks per animation frame, or per idle period if the idle option is true, and the rows will be rendered at once after all nodes have been processed, so that they are always in step with the nodes.
+    // A "filterProgress" event will be emitted with { processed, total } after each chunk of nodes is processed, where total is the number of nodes that have been found so far, which becomes the number of all nodes after the last chunk. The pending run will be canceled by a new filter, or unfilter().
+    // @param {string|RegExp|function} predicate See filter() for details.
+    // @param {object} [options] The options object. See filter() for the filter options.
+    // @param {boolean} [options.idle] Pass true to process nodes in idle periods with requestIdleCallback if available. Defaults to false.
+    // @param {number} [options.timeSlice] The number of milliseconds to process nodes per animation frame. Defaults to 8.
+    // @return {Promise} Returns a promise that resolves to the filter result after the rows are rendered, or null if the run is canceled. See filter() for the filter result.
+    filterAsync(predicate, options) {
         options = {
-            caseSensitive: false,
-            exactMatch: false,
-            filterPath: 'name',
-            includeAncestors: true,
-            includeDescendants: true,
+            idle: false,
+            timeSlice: 8,
             ...options
         };
 
-        this.filtered = true;
+        const changedLayers = cancelFilterTask(this).concat(defaultFilterName);
+        setFilterLayer(this, defaultFilterName, predicate, options);
 
-        const rootNode = this.state.rootNode;
-        const traverse = (node, filterNode = false) => {
-            if (!node || !node.children) {
-                return false;
-            }
+        return new Promise((resolve) => {
+            const task = createFilterTask(this, { changedLayers });
+            let cancelTimeSlice = noop;
 
-            if (node === rootNode) {
-                node.state.filtered = false;
-            } else if (filterNode) {
-                node.state.filtered = true;
-            } else if (typeof predicate === 'string') {
-                // string
-                let filterText = get(node, options.filterPath, '');
-                if (Number.isFinite(filterText)) {
-                    filterText = String(filterText);
-                }
-                if (typeof filterText !== 'string') {
-                    filterText = '';
-                }
-                let keyword = predicate;
-                if (!options.caseSensitive) {
-                    filterText = filterText.toLowerCase();
-                    keyword = keyword.toLowerCase();
-                }
-                node.state.filtered = options.exactMatch
-                    ? (filterText === keyword)
-                    : (filterText.indexOf(keyword) >= 0);
-            } else if (typeof predicate === 'function') {
-                // function
-                const callback = predicate;
-                node.state.filtered = !!callback(node);
-            } else {
-                node.state.filtered = false;
-            }
+            const processTimeSlice = (timeRemaining) => {
+                const shouldYield = () => timeRemaining() <= 0;
+                const done = task.run(shouldYield);
 
-            if (options.includeDescendants) {
-                filterNode = filterNode || node.state.filtered;
-            }
+                // Emit a "filterProgress" event
+                this.emit('filterProgress', { processed: task.processed, total: task.total });
 
-            let filtered = false;
-            for (let i = 0; i < node.children.length; ++i) {
-                const childNode = node.children[i];
-                if (!childNode) {
-                    continue;
-                }
-                if (traverse(childNode, filterNode)) {
-                    filtered = true;
+                if (!done) {
+                    cancelTimeSlice = requestTimeSlice(processTimeSlice, options);
+                    return;
                 }
-            }
-            if (options.includeAncestors && filtered) {
-                node.state.filtered = true;
-            }
 
-            return node.state.filtered;
-        };
+                const result = task.finish();
 
-        traverse(rootNode);
+                // Update rows
+                task.renderRows();
 
-        // Update rows
-        this.rows.length = this.nodes.length;
-        for (let i = 0; i < this.nodes.length; ++i) {
-            const node = this.nodes[i];
-            this.rows[i] = this.options.rowRenderer(node, this.options);
-        }
+                this.filterTask = null;
+                this.update();
+                resolve(result);
+            };
 
-        this.update();
+            this.filterTask = {
+                changedLayers: changedLayers,
+                cancel: () => {
+                    cancelTimeSlice();
+                    // Resolve a canceled run to null, so that canceling it with a new filter or unfilter() does not cause an unhandled rejection
+                    resolve(null);
+                }
+            };
+            cancelTimeSlice = requestTimeSlice(processTimeSlice, options);
+        });
     }
 
     // Flattens all child nodes of a parent node by performing full tree traversal using child-parent link.
@@ -928,6 +3262,84 @@ class InfiniteTree extends events.EventEmitter {
         return [node].concat(this.flattenChildNodes(node));
     }
 
+    // Moves the keyboard focus to a node without changing the selection.
+    // @param {Node} node The Node object. If null, removes the focus from the current node.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.autoScroll] Pass true to automatically scroll to the focused node. Defaults to true.
+    // @param {boolean} [options.silent] Pass true to prevent "focusNode" event from being triggered. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    focusNode(node = null, options) {
+        const { autoScroll = true, silent = false } = { ...options };
+
+        if (node === this.state.rootNode) {
+            return false;
+        }
+
+        if (node !== null) {
+            if (!ensureNodeInstance(node)) {
+                return false;
+            }
+
+            // Retrieve node index
+            const nodeIndex = this.nodes.indexOf(node);
+            if (nodeIndex < 0) {
+                return false;
+            }
+        }
+
+        if (!setFocusedNode(this, node)) {
+            if (node && autoScroll) {
+                this.scrollToNode(node, { align: 'auto' });
+            }
+            return true;
+        }
+
+        // Update list
+        this.update();
+
+        if (node && autoScroll) {
+            this.scrollToNode(node, { align: 'auto' });
+        }
+
+        if (!silent) {
+            // Emit a "focusNode" event
+            this.emit('focusNode', node);
+        }
+
+        return true;
+    }
+
+    // Gets the checked nodes. A node is checked if its checked state is true and its indeterminate state is false.
+    // @param {object} [options] The options object.
+    // @param {string} [options.mode] 'all' to get all checked nodes, 'leaves' to get the checked nodes without child nodes, or 'topmost' to get the checked nodes whose ancestors are not checked. Defaults to 'all'.
+    // @return {array} Returns an array of Node objects.
+    getCheckedNodes(options) {
+        const { mode = 'all' } = { ...options };
+        const isChecked = (node) => !!node.state.checked && !node.state.indeterminate;
+        const checkedNodes = [];
+        const stack = this.state.rootNode.children.slice().reverse();
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const checked = isChecked(node);
+
+            if (checked && (mode !== 'leaves' || !node.hasChildren())) {
+                checkedNodes.push(node);
+            }
+
+            // The descendants of a checked node are not the topmost nodes
+            if (checked && mode === 'topmost') {
+                continue;
+            }
+
+            for (let i = node.children.length - 1; i >= 0; --i) {
+                stack.push(node.children[i]);
+            }
+        }
+
+        return checkedNodes;
+    }
+
     // Gets a list of child nodes.
     // @param {Node} [parentNode] The Node object that defines the parent node. If null or undefined, returns a list of top level nodes.
     // @return {array} Returns an array of Node objects containing all the child nodes of the parent node.
@@ -942,6 +3354,24 @@ class InfiniteTree extends events.EventEmitter {
         return parentNode.children;
     }
 
+    // Gets the columns of the table layout in display order.
+    // @return {array} Returns a copy of the columns, which can be persisted and passed to setColumns().
+    getColumns() {
+        return copyColumns(this.options.columns);
+    }
+
+    // Gets the nodes that match the filter.
+    // @return {array} Returns an array of Node objects in tree order, or an empty array if the tree is not filtered.
+    getFilterMatches() {
+        return this.state.matchedNodes.slice();
+    }
+
+    // Gets the focused node.
+    // @return {Node} Returns the focused node, or null if not focused.
+    getFocusedNode() {
+        return this.state.focusedNode;
+    }
+
     // Gets a node by its unique id. This assumes that you have given the nodes in the data a unique id.
     // @param {string|number} id An unique node id. A null value will be returned if the id doesn't match.
     // @return {Node} Returns a node the matches the id, null otherwise.
@@ -1001,6 +3431,17 @@ class InfiniteTree extends events.EventEmitter {
         return this.nodes.indexOf(this.state.selectedNode);
     }
 
+    // Gets an array of selected nodes.
+    // @return {array} Returns an array of Node objects containing selected nodes.
+    getSelectedNodes() {
+        if (this.options.selectionMode !== 'multiple') {
+            return this.state.selectedNode ? [this.state.selectedNode] : [];
+        }
+
+        // returns a shallow copy of an array into a new array object.
+        return this.state.selectedNodes.slice();
+    }
+
     // Inserts the specified node after the reference node.
     // @param {object} newNode The new sibling node.
     // @param {Node} referenceNode The Node object that defines the reference node.
@@ -1033,16 +3474,31 @@ class InfiniteTree extends events.EventEmitter {
         return this.addChildNodes(newNodes, index, parentNode);
     }
 
+    // Checks whether a node is selected.
+    // @param {Node} node The Node object.
+    // @return {boolean} Returns true if the node is selected, false otherwise.
+    isSelected(node) {
+        if (!ensureNodeInstance(node)) {
+            return false;
+        }
+
+        return this.getSelectedNodes().indexOf(node) >= 0;
+    }
+
     // Loads data in the tree.
     // @param {object|array} data The data is an object or array of objects that defines the node.
     loadData(data = []) {
+        abortLoadNodes(this, () => true);
+
         this.nodes = flatten(data, { openAllNodes: this.options.autoOpen });
 
         // Clear lookup table
         this.nodeTable.clear();
 
         this.state.openNodes = this.nodes.filter((node) => node.state.open);
+        this.state.focusedNode = null;
         this.state.selectedNode = null;
+        this.state.selectedNodes = [];
 
         const rootNode = ((node = null) => {
             // Finding the root node
@@ -1054,6 +3510,12 @@ class InfiniteTree extends events.EventEmitter {
 
         this.state.rootNode = rootNode || createRootNode(this.state.rootNode); // Create a new root node if rootNode is null
 
+        // Sort all child nodes with the sortComparator option
+        const comparator = getSortComparator(this.options.sortComparator);
+        if (comparator && sortChildNodesInPlace(this.state.rootNode, comparator, true).length > 0) {
+            this.nodes = flatten(this.state.rootNode.children, { openNodes: this.state.openNodes });
+        }
+
         // Update the lookup table with newly added nodes
         this.flattenChildNodes(this.state.rootNode).forEach((node) => {
             if (node.id !== undefined) {
@@ -1068,15 +3530,130 @@ class InfiniteTree extends events.EventEmitter {
             this.rows[i] = this.options.rowRenderer(node, this.options);
         }
 
-        // Update list
-        this.update();
+        // Update list
+        this.update();
+    }
+
+    // Loads the next page of child nodes of a paginated node, and appends them to the node.
+    // A node is paginated if loadNodes returns a page object like { nodes: [...], cursor: 'next-page-cursor' }.
+    // @param {Node} node The Node object.
+    // @return {boolean} Returns true on success, false otherwise.
+    loadMoreNodes(node) {
+        if (!ensureNodeInstance(node)) {
+            return false;
+        }
+
+        if (typeof this.options.loadNodes !== 'function') {
+            return false;
+        }
+
+        // Reentrancy not allowed
+        if (!hasMoreChildNodes(node) || node.state.loading || node.state.loadingMore) {
+            return false;
+        }
+
+        // Toggle the loading state
+        node.state.loadingMore = true;
+        // Clear the error from the previous load
+        delete node.state.loadError;
+        // Update list
+        this.update();
+
+        requestLoadNodes(this, node, {
+            cursor: node.state.nextCursor,
+            onLoad: (err, result, done = noop) => {
+                const { nodes, cursor } = parseLoadNodesResult(result);
+
+                // Toggle the loading state
+                node.state.loadingMore = false;
+
+                if (err) {
+                    node.state.loadError = err;
+                    // Update list
+                    this.update();
+
+                    // Emit a "loadNodesError" event
+                    this.emit('loadNodesError', node, err);
+                } else {
+                    setNextCursor(node, cursor);
+
+                    if (nodes.length > 0) {
+                        // Append the child nodes to the node
+                        this.addChildNodes(nodes, node.children.length, node);
+                    } else {
+                        // Update list
+                        this.update();
+                    }
+                }
+
+                if (typeof done === 'function') {
+                    done();
+                }
+            },
+            onAbort: () => {
+                // Toggle the loading state
+                node.state.loadingMore = false;
+                // Update list
+                this.update();
+            }
+        });
+
+        return true;
+    }
+
+    // Resolves a node by a path of node ids, opening each level and loading its child nodes on demand, and reveals the node.
+    // @param {array|string} idPath An array of node ids from the top level down to the node, or a string of node ids separated by slashes (e.g. 'org/team/repo').
+    // @param {object} [options] The options object. See revealNode for the options used to reveal the node.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode", "selectNode" and "focusNode" events from being triggered. Defaults to false.
+    // @return {Promise} Returns a promise that resolves to the Node object, or rejects with an error if a node id along the path is not a child of the previous node. The error has the `segment` and `index` properties indicating the first node id that couldn't be found.
+    loadPath(idPath, options) {
+        const { silent = false } = { ...options };
+        const ids = parseIdPath(idPath);
+
+        if (ids.length === 0) {
+            return Promise.reject(new Error('The id path must not be empty.'));
+        }
+
+        return resolveNodePath(this, ids, { silent: silent })
+            .then((node) => {
+                this.revealNode(node, options);
+                return node;
+            });
+    }
+
+    // Moves a column of the table layout to the new position, and emits a "columnsChange" event.
+    // @param {string} key The key of the column.
+    // @param {number} index The 0-based index of the new position.
+    // @return {boolean} Returns true on success, false otherwise.
+    moveColumn(key, index) {
+        const columns = (this.options.columns || []).slice();
+        const fromIndex = columns.map(column => column.key).indexOf(String(key));
+        if (fromIndex < 0 || !Number.isFinite(index)) {
+            return false;
+        }
+
+        index = Math.max(0, Math.min(index, columns.length - 1));
+        if (index === fromIndex) {
+            return false;
+        }
+
+        columns.splice(index, 0, columns.splice(fromIndex, 1)[0]);
+        this.options.columns = columns;
+
+        renderColumnHeader(this);
+        renderRows(this);
+
+        // Emit a "columnsChange" event
+        this.emit('columnsChange', copyColumns(columns));
+
+        return true;
     }
 
     // Moves a node from its current position to the new position.
     // @param {Node} node The Node object.
     // @param {Node} parentNode The Node object that defines the parent node.
     // @param {number} [index] The 0-based index of where to insert the child node.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     moveNodeTo(node, parentNode, index) {
         if (!ensureNodeInstance(node) || !ensureNodeInstance(parentNode)) {
             return false;
@@ -1089,19 +3666,51 @@ class InfiniteTree extends events.EventEmitter {
             }
         }
 
-        return this.removeNode(node) && this.addChildNodes(node, index, parentNode);
+        const canMove = emitCancelableEvent(this, 'willMoveNode', node, { parentNode, index });
+        if (canMove !== true) {
+            return canMove && handleDeferredAction(deferAction(this, 'willMoveNode', node, canMove, () => this.moveNodeTo(node, parentNode, index)));
+        }
+
+        // Moving a node does not emit the "willRemoveNode" event
+        return withApprovedEvent(this, 'willRemoveNode', node, () => {
+            // Keep loading the child nodes of the node being moved, since the node is not actually removed from the tree
+            const loadNodesRequests = this.loadNodesRequests;
+            this.loadNodesRequests = [];
+
+            let removed = false;
+            try {
+                removed = this.removeNode(node);
+            } finally {
+                this.loadNodesRequests = loadNodesRequests;
+            }
+
+            return removed && this.addChildNodes(node, index, parentNode);
+        });
+    }
+
+    // Selects the next node that matches the filter in visible order, relative to the selected node, and scrolls it into view. The closed ancestors of the node will be opened. It will wrap around to the first match.
+    // @param {object} [options] The options object. See revealNode for details.
+    // @return {Node} Returns the Node object, or null if there is no match.
+    nextMatch(options) {
+        return moveToMatch(this, 1, options);
     }
 
     // Opens a node to display its children.
     // @param {Node} node The Node object.
     // @param {object} [options] The options object.
     // @param {boolean} [options.silent] Pass true to prevent "openNode" event from being triggered.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @param {boolean} [options.recursive] Pass true to open all descendants of the node. Defaults to false.
+    // @param {number} [options.maxDepth] The number of levels to open when opening recursively. Defaults to Infinity.
+    // @param {number} [options.concurrency] The maximum number of concurrent loadNodes requests when opening recursively. Defaults to 4.
+    // @param {boolean} [options.force] Pass true to open a disabled node. Defaults to false.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     openNode(node, options) {
         const {
             async = false,
             asyncCallback = noop,
-            silent = false
+            silent = false,
+            recursive = false,
+            force = false
         } = { ...options };
 
         if (!ensureNodeInstance(node)) {
@@ -1113,12 +3722,29 @@ class InfiniteTree extends events.EventEmitter {
             return false;
         }
 
+        // Disabled nodes cannot be toggled unless forced
+        if (!force && isNodeDisabled(node)) {
+            return false;
+        }
+
+        if (recursive) {
+            const canOpen = emitCancelableEvent(this, 'willOpenNode', node);
+            if (canOpen !== true) {
+                return canOpen && handleDeferredAction(deferAction(this, 'willOpenNode', node, canOpen, () => this.openNode(node, options)), options);
+            }
+
+            return expandNodes(this, node, options);
+        }
+
         // Check if the openNode action can be performed
         if (this.state.openNodes.indexOf(node) >= 0) {
             return false;
         }
 
-        this.emit('willOpenNode', node);
+        const canOpen = emitCancelableEvent(this, 'willOpenNode', node);
+        if (canOpen !== true) {
+            return canOpen && handleDeferredAction(deferAction(this, 'willOpenNode', node, canOpen, () => this.openNode(node, options)), options);
+        }
 
         // Retrieve node index
         const nodeIndex = this.nodes.indexOf(node);
@@ -1145,7 +3771,10 @@ class InfiniteTree extends events.EventEmitter {
             // Toggle the expanding state
             node.state.expanding = false;
 
-            if (nodeIndex >= 0) {
+            // The node index might have been changed if the function is called asynchronously
+            const currentNodeIndex = this.nodes.indexOf(node);
+
+            if (currentNodeIndex >= 0) {
                 const rows = [];
                 // Update rows
                 rows.length = nodes.length;
@@ -1155,11 +3784,11 @@ class InfiniteTree extends events.EventEmitter {
                 }
 
                 // Update nodes & rows
-                this.nodes.splice.apply(this.nodes, [nodeIndex + 1, 0].concat(nodes));
-                this.rows.splice.apply(this.rows, [nodeIndex + 1, 0].concat(rows));
+                this.nodes.splice.apply(this.nodes, [currentNodeIndex + 1, 0].concat(nodes));
+                this.rows.splice.apply(this.rows, [currentNodeIndex + 1, 0].concat(rows));
 
                 // Update the row corresponding to the node
-                this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
+                this.rows[currentNodeIndex] = this.options.rowRenderer(node, this.options);
 
                 // Update list
                 this.update();
@@ -1188,9 +3817,7 @@ class InfiniteTree extends events.EventEmitter {
             return true;
         }
 
-        const shouldLoadNodes = (typeof this.options.shouldLoadNodes === 'function')
-            ? !!(this.options.shouldLoadNodes(node))
-            : !node.hasChildren() && node.loadOnDemand;
+        const shouldLoadNodes = shouldLoadChildNodes(this, node);
 
         if (shouldLoadNodes) {
             if (typeof this.options.loadNodes !== 'function') {
@@ -1204,77 +3831,118 @@ class InfiniteTree extends events.EventEmitter {
 
             // Toggle the loading state
             node.state.loading = true;
+            // Clear the error from the previous load
+            delete node.state.loadError;
             // Update the row corresponding to the node
             this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
             // Update list
             this.update();
 
-            // Do a setTimeout to prevent the CPU intensive task
-            setTimeout(() => {
-                this.options.loadNodes(node, (err, nodes, done = noop) => {
-                    nodes = ensureArray(nodes);
+            const handleResult = (err, result, done = noop) => {
+                const { nodes, cursor } = parseLoadNodesResult(result);
 
-                    const currentNodeIndex = this.nodes.indexOf(node);
+                const currentNodeIndex = this.nodes.indexOf(node);
+
+                if (err) {
+                    node.state.loadError = err;
+                } else {
+                    delete node.state.loadRetryCount;
+                    setNextCursor(node, cursor);
+                }
 
-                    if (nodes.length === 0 && currentNodeIndex >= 0) {
-                        node.state.open = true;
+                if (!err && nodes.length === 0 && currentNodeIndex >= 0) {
+                    node.state.open = true;
 
-                        if (this.state.openNodes.indexOf(node) < 0) {
-                            // the most recently used items first
-                            this.state.openNodes = [node].concat(this.state.openNodes);
-                        }
+                    if (this.state.openNodes.indexOf(node) < 0) {
+                        // the most recently used items first
+                        this.state.openNodes = [node].concat(this.state.openNodes);
                     }
+                }
 
-                    if (err || nodes.length === 0) {
-                        // Toggle the loading state
-                        node.state.loading = false;
-                        // Update the row corresponding to the node
-                        this.rows[currentNodeIndex] = this.options.rowRenderer(node, this.options);
-                        // Update list
-                        this.update();
+                const complete = (callDone = true) => {
+                    if (callDone && typeof done === 'function') {
+                        done();
+                    }
+                    if (typeof asyncCallback === 'function') {
+                        asyncCallback(err || null);
+                    }
+                };
+
+                if (err || nodes.length === 0) {
+                    // Toggle the loading state
+                    node.state.loading = false;
+                    // Update the row corresponding to the node
+                    this.rows[currentNodeIndex] = this.options.rowRenderer(node, this.options);
+                    // Update list
+                    this.update();
+
+                    if (err) {
+                        // Emit a "loadNodesError" event
+                        this.emit('loadNodesError', node, err);
+
+                        scheduleLoadNodesRetry(this, node, err);
+                    }
+
+                    complete();
+                    return;
+                }
 
-                        if (typeof done === 'function') {
-                            done();
+                this.addChildNodes(nodes, node);
+
+                // Ensure the node has children to prevent infinite loop
+                if (node.hasChildren()) {
+                    // Call openNode again without emitting the "willOpenNode" event twice
+                    const opened = withApprovedEvent(this, 'willOpenNode', node, () => this.openNode(node, {
+                        ...options,
+                        async: true,
+                        asyncCallback: () => {
+                            // Toggle the loading state
+                            node.state.loading = false;
+                            const openedNodeIndex = this.nodes.indexOf(node);
+                            // Update the row corresponding to the node
+                            this.rows[openedNodeIndex] = this.options.rowRenderer(node, this.options);
+                            // Update list
+                            this.update();
+
+                            complete();
                         }
+                    }));
+
+                    if (opened) {
                         return;
                     }
+                }
 
-                    this.addChildNodes(nodes, node);
-
-                    // Ensure the node has children to prevent infinite loop
-                    if (node.hasChildren()) {
-                        // Call openNode again
-                        this.openNode(node, {
-                            ...options,
-                            async: true,
-                            asyncCallback: () => {
-                                // Toggle the loading state
-                                node.state.loading = false;
-                                const openedNodeIndex = this.nodes.indexOf(node);
-                                // Update the row corresponding to the node
-                                this.rows[openedNodeIndex] = this.options.rowRenderer(node, this.options);
-                                // Update list
-                                this.update();
-
-                                if (typeof done === 'function') {
-                                    done();
-                                }
-                            }
-                        });
-                    } else {
-                        // Toggle the loading state
-                        node.state.loading = false;
+                // Toggle the loading state
+                node.state.loading = false;
+                // Update the row corresponding to the node
+                this.rows[currentNodeIndex] = this.options.rowRenderer(node, this.options);
+                // Update list
+                this.update();
+
+                // The done callback will not be called if the node has already been opened
+                complete(!node.hasChildren());
+            };
+
+            requestLoadNodes(this, node, {
+                onLoad: handleResult,
+                onAbort: (reason) => {
+                    // Toggle the loading state
+                    node.state.loading = false;
+
+                    const currentNodeIndex = this.nodes.indexOf(node);
+                    if (currentNodeIndex >= 0) {
                         // Update the row corresponding to the node
                         this.rows[currentNodeIndex] = this.options.rowRenderer(node, this.options);
                         // Update list
                         this.update();
+                    }
 
-                        if (typeof done === 'function') {
-                            done();
-                        }
+                    if (typeof asyncCallback === 'function') {
+                        asyncCallback(reason);
                     }
-                });
-            }, 0);
+                }
+            });
 
             return true;
         }
@@ -1296,6 +3964,172 @@ class InfiniteTree extends events.EventEmitter {
         return true;
     }
 
+    // Opens a node to display its children. The child nodes will be loaded if needed.
+    // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" event from being triggered.
+    // @return {Promise} Returns a promise that resolves to true after the rows are rendered, or false if the node cannot be opened. The promise will be rejected if loadNodes fails.
+    openNodeAsync(node, options) {
+        return callAsync((options) => this.openNode(node, options), options);
+    }
+
+    // Opens multiple nodes in one flatten and render pass. The child nodes of load-on-demand nodes will be loaded as openNode does.
+    // @param {array} nodes An array of Node objects.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" event from being triggered.
+    // @param {boolean} [options.force] Pass true to open disabled nodes. Defaults to false.
+    // @return {boolean} Returns true if any node has been opened, false otherwise.
+    openNodes(nodes, options) {
+        const { silent = false, force = false } = { ...options };
+        const openedNodes = [];
+        const lazyNodes = [];
+
+        ensureArray(nodes).forEach((node) => {
+            if (!ensureNodeInstance(node) || !this.nodeTable.has(node.id)) {
+                return;
+            }
+            if (this.state.openNodes.indexOf(node) >= 0 || openedNodes.indexOf(node) >= 0 || lazyNodes.indexOf(node) >= 0) {
+                return;
+            }
+
+            // Disabled nodes cannot be toggled unless forced
+            if (!force && isNodeDisabled(node)) {
+                return;
+            }
+
+            const nodeIndex = this.nodes.indexOf(node);
+            const shouldLoadNodes = (nodeIndex >= 0) && shouldLoadChildNodes(this, node);
+            if (!node.hasChildren() && !shouldLoadNodes) {
+                return;
+            }
+
+            // Only a synchronous approval is supported when opening multiple nodes at once
+            if (emitCancelableEvent(this, 'willOpenNode', node) !== true) {
+                return;
+            }
+
+            if (shouldLoadNodes) {
+                lazyNodes.push(node);
+                return;
+            }
+
+            node.state.open = true;
+            openedNodes.push(node);
+        });
+
+        if (openedNodes.length > 0) {
+            // the most recently used items first
+            this.state.openNodes = openedNodes.concat(this.state.openNodes);
+
+            // The visible nodes cannot be nested since their ancestors are open, so insert their child nodes from the bottom up to keep the indices of the others
+            const visibleNodes = openedNodes
+                .map(node => ({ node: node, index: this.nodes.indexOf(node) }))
+                .filter(({ index }) => index >= 0)
+                .sort((a, b) => b.index - a.index);
+
+            visibleNodes.forEach(({ node, index }) => {
+                const childNodes = flatten(node.children, { openNodes: this.state.openNodes });
+
+                childNodes.forEach((childNode) => {
+                    if (childNode.id !== undefined && !this.nodeTable.has(childNode.id)) {
+                        this.nodeTable.set(childNode.id, childNode);
+                    }
+                });
+
+                const rows = childNodes.map(childNode => this.options.rowRenderer(childNode, this.options));
+
+                // Update nodes & rows
+                this.nodes.splice.apply(this.nodes, [index + 1, 0].concat(childNodes));
+                this.rows.splice.apply(this.rows, [index + 1, 0].concat(rows));
+
+                // Update the row corresponding to the node
+                this.rows[index] = this.options.rowRenderer(node, this.options);
+            });
+
+            if (visibleNodes.length > 0) {
+                // Update list
+                this.update();
+            }
+
+            if (!silent) {
+                openedNodes.forEach((node) => {
+                    // Emit a "openNode" event
+                    this.emit('openNode', node);
+                });
+            }
+        }
+
+        // The child nodes of load-on-demand nodes will be rendered after they are loaded
+        const loadedNodes = lazyNodes.filter((node) => {
+            return withApprovedEvent(this, 'willOpenNode', node, () => this.openNode(node, { ...options, async: true }));
+        });
+
+        return (openedNodes.length > 0) || (loadedNodes.length > 0);
+    }
+
+    // Selects the previous node that matches the filter in visible order, relative to the selected node, and scrolls it into view. The closed ancestors of the node will be opened. It will wrap around to the last match.
+    // @param {object} [options] The options object. See revealNode for details.
+    // @return {Node} Returns the Node object, or null if there is no match.
+    previousMatch(options) {
+        return moveToMatch(this, -1, options);
+    }
+
+    // Tests all nodes against the filter layers again. The result of each layer is cached per node, so call this method after the external state read by a function predicate has changed.
+    // Only the rows of the nodes whose visibility or matches have changed will be updated.
+    // @param {string|array} [names] The name or an array of names of the filter layers to test again. Defaults to all filter layers.
+    // @return {object} Returns the filter result, or null if the tree is not filtered. See filter() for details.
+    // @example
+    //
+    // tree.addFilter('modified', node => modifiedFiles.indexOf(node.id) >= 0);
+    // modifiedFiles.push('README.md');
+    // tree.refilter('modified');
+    refilter(names) {
+        if (!this.filtered || this.filterLayers.length === 0) {
+            return null;
+        }
+
+        const layerNames = this.filterLayers.map(layer => layer.name);
+        const changedLayers = (names === undefined) ? layerNames : ensureArray(names).filter(name => layerNames.indexOf(name) >= 0);
+
+        return runFilterTask(this, { changedLayers });
+    }
+
+    // Reloads the child nodes of a node by calling loadNodes, and opens the node. Only the nodes with loadOnDemand can be refreshed.
+    // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" and "selectNode" events from being triggered.
+    // @return {Promise} Returns a promise that resolves to true after the rows are rendered, or false if the node cannot be refreshed. The promise will be rejected if loadNodes fails.
+    refreshNodeAsync(node, options) {
+        if (!ensureNodeInstance(node) || (node === this.state.rootNode)) {
+            return Promise.resolve(false);
+        }
+
+        if (typeof this.options.loadNodes !== 'function') {
+            error('Cannot refresh node without the loadNodes option:', node.id);
+            return Promise.resolve(false);
+        }
+
+        // The child nodes of a node without loadOnDemand will not be reloaded once removed
+        if (!node.loadOnDemand) {
+            error('Cannot refresh node without loadOnDemand:', node.id);
+            return Promise.resolve(false);
+        }
+
+        // Reentrancy not allowed
+        if (node.state.loading === true) {
+            return Promise.resolve(false);
+        }
+
+        this.removeChildNodes(node, options);
+
+        if (this.state.openNodes.indexOf(node) >= 0) {
+            // The node remains open if it has no child nodes
+            this.closeNode(node, { silent: true, force: true });
+        }
+
+        return this.openNodeAsync(node, { ...options, force: true });
+    }
+
     // Removes all child nodes from a parent node.
     // @param {Node} parentNode The Node object that defines the parent node.
     // @param {object} [options] The options object.
@@ -1314,10 +4148,21 @@ class InfiniteTree extends events.EventEmitter {
             return true;
         }
 
+        // Abort loading the child nodes of the descendants
+        abortLoadNodes(this, (loadingNode) => parentNode.contains(loadingNode));
+
         const parentNodeIndex = this.nodes.indexOf(parentNode);
 
         // Update selected node
-        if ((parentNodeIndex >= 0) && this.state.selectedNode) {
+        if (this.options.selectionMode === 'multiple') {
+            // Replace the selected nodes being removed with the parent node
+            const removedSelectedNodes = this.state.selectedNodes.filter(selectedNode => parentNode.contains(selectedNode));
+            if (removedSelectedNodes.length > 0) {
+                const fallbackNodes = ensureArray(getFallbackNode(this, [parentNode]));
+                const selectedNodes = difference(this.state.selectedNodes, removedSelectedNodes.concat(fallbackNodes)).concat(fallbackNodes);
+                this.selectNodes(selectedNodes, { ...options, replace: true });
+            }
+        } else if ((parentNodeIndex >= 0) && this.state.selectedNode) {
             // row #0 - node.0         => parent node (total=4)
             // row #1   - node.0.0
             // row #2       node.0.0.0 => current selected node
@@ -1328,14 +4173,16 @@ class InfiniteTree extends events.EventEmitter {
             const rangeTo = parentNodeIndex + parentNode.state.total;
 
             if ((rangeFrom <= selectedIndex) && (selectedIndex <= rangeTo)) {
-                if (parentNode === this.state.rootNode) {
-                    this.selectNode(null, options);
-                } else {
-                    this.selectNode(parentNode, options);
-                }
+                // Select the parent node, or its closest ancestor if it is disabled
+                this.selectNode(getFallbackNode(this, [parentNode]), options);
             }
         }
 
+        // Move the focus to the parent node if the focused node will be removed
+        if (this.state.focusedNode && parentNode.contains(this.state.focusedNode)) {
+            this.focusNode(parentNode, { ...options, autoScroll: false });
+        }
+
         // Get the nodes being removed
         const removedNodes = this.flattenChildNodes(parentNode);
 
@@ -1349,10 +4196,17 @@ class InfiniteTree extends events.EventEmitter {
 
         // Update parent node
         parentNode.children = [];
+        delete parentNode.state.nextCursor;
         if (parentNode !== this.state.rootNode) {
             parentNode.state.open = parentNode.state.open && (parentNode.children.length > 0);
         }
 
+        // Update the check state without the removed child nodes
+        const changedNodes = refreshCheckState(this, parentNode);
+
+        // Recalculate the ancestor inclusion of the active filter without the removed child nodes
+        const filterChangedNodes = refilterBranch(this, parentNode, { removedNodes });
+
         if (parentNodeIndex >= 0) {
             // Update nodes & rows
             this.nodes.splice(parentNodeIndex + 1, deleteCount);
@@ -1362,6 +4216,9 @@ class InfiniteTree extends events.EventEmitter {
             this.rows[parentNodeIndex] = this.options.rowRenderer(parentNode, this.options);
         }
 
+        // Update the rows corresponding to the ancestors whose check state or visibility has changed
+        updateRows(this, changedNodes.concat(filterChangedNodes));
+
         { // Update open nodes and lookup table
             this.state.openNodes = this.state.openNodes.filter((node) => {
                 return (removedNodes.indexOf(node) < 0) && node.state.open;
@@ -1378,11 +4235,31 @@ class InfiniteTree extends events.EventEmitter {
         return true;
     }
 
+    // Removes a filter layer added by addFilter(). The filter will be turned off if there is no filter layer left.
+    // @param {string} name The name of the filter layer.
+    // @return {boolean} Returns true on success, false otherwise.
+    removeFilter(name) {
+        const index = this.filterLayers.map(layer => layer.name).indexOf(name);
+        if (index < 0) {
+            return false;
+        }
+
+        this.filterLayers.splice(index, 1);
+
+        if (this.filterLayers.length === 0) {
+            this.unfilter();
+        } else {
+            runFilterTask(this, { removedLayers: [name] });
+        }
+
+        return true;
+    }
+
     // Removes a node and all of its child nodes.
     // @param {Node} node The Node object.
     // @param {object} [options] The options object.
     // @param {boolean} [options.silent] Pass true to prevent "selectNode" event from being triggered.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     removeNode(node, options) {
         if (!ensureNodeInstance(node)) {
             return false;
@@ -1393,12 +4270,33 @@ class InfiniteTree extends events.EventEmitter {
             return false;
         }
 
+        const canRemove = emitCancelableEvent(this, 'willRemoveNode', node);
+        if (canRemove !== true) {
+            return canRemove && handleDeferredAction(deferAction(this, 'willRemoveNode', node, canRemove, () => this.removeNode(node, options)), options);
+        }
+
+        // Abort loading the child nodes of the node and its descendants
+        abortLoadNodes(this, (loadingNode) => (loadingNode === node) || node.contains(loadingNode));
+
         // Retrieve node index
         const nodeIndex = this.nodes.indexOf(node);
         const parentNodeIndex = this.nodes.indexOf(parentNode);
 
         // Update selected node
-        if ((nodeIndex >= 0) && this.state.selectedNode) {
+        if (this.options.selectionMode === 'multiple') {
+            // Deselect the nodes being removed, and select the next sibling node, the previous
+            // sibling node, or the parent node if nothing else remains selected.
+            const removedSelectedNodes = this.state.selectedNodes.filter(selectedNode => {
+                return (selectedNode === node) || node.contains(selectedNode);
+            });
+            if (removedSelectedNodes.length > 0) {
+                let selectedNodes = difference(this.state.selectedNodes, removedSelectedNodes);
+                if (selectedNodes.length === 0) {
+                    selectedNodes = ensureArray(getFallbackNode(this, [node.getNextSibling(), node.getPreviousSibling(), node.getParent()]));
+                }
+                this.selectNodes(selectedNodes, { ...options, replace: true });
+            }
+        } else if ((nodeIndex >= 0) && this.state.selectedNode) {
             // row #0 - node.0         => parent node (total=4)
             // row #1   - node.0.0     => remove this node (total=2)
             // row #2       node.0.0.0 => current selected node (total=0)
@@ -1409,17 +4307,27 @@ class InfiniteTree extends events.EventEmitter {
             const rangeTo = nodeIndex + node.state.total + 1;
 
             if ((rangeFrom <= selectedIndex) && (selectedIndex <= rangeTo)) {
-                // Change the selected node in the following order:
+                // Change the selected node in the following order, skipping the disabled nodes:
                 // 1. next sibling node
                 // 2. previous sibling node
-                // 3. parent node
-                const selectedNode = node.getNextSibling() || node.getPreviousSibling() || node.getParent();
+                // 3. parent node and its ancestors
+                const selectedNode = getFallbackNode(this, [node.getNextSibling(), node.getPreviousSibling(), node.getParent()]);
+                this.selectNode(selectedNode, options);
+            }
+        }
 
-                if (selectedNode === this.state.rootNode) {
-                    this.selectNode(null, options);
-                } else {
-                    this.selectNode(selectedNode, options);
-                }
+        // Update focused node
+        if (this.state.focusedNode && ((this.state.focusedNode === node) || node.contains(this.state.focusedNode))) {
+            // Change the focused node in the following order:
+            // 1. next sibling node
+            // 2. previous sibling node
+            // 3. parent node
+            const focusedNode = node.getNextSibling() || node.getPreviousSibling() || node.getParent();
+
+            if (focusedNode === this.state.rootNode) {
+                this.focusNode(null, { ...options, autoScroll: false });
+            } else {
+                this.focusNode(focusedNode, { ...options, autoScroll: false });
             }
         }
 
@@ -1440,37 +4348,181 @@ class InfiniteTree extends events.EventEmitter {
             parentNode.state.open = parentNode.state.open && (parentNode.children.length > 0);
         }
 
+        // Update the check state without the removed node
+        const changedNodes = refreshCheckState(this, parentNode);
+
+        // Recalculate the ancestor inclusion of the active filter without the removed node
+        const filterChangedNodes = refilterBranch(this, parentNode, { removedNodes });
+
         if (nodeIndex >= 0) {
             // Update nodes & rows
             this.nodes.splice(nodeIndex, deleteCount);
             this.rows.splice(nodeIndex, deleteCount);
         }
 
-        // Update the row corresponding to the parent node
-        if (parentNodeIndex >= 0) {
-            this.rows[parentNodeIndex] = this.options.rowRenderer(parentNode, this.options);
+        // Update the rows corresponding to the ancestors whose check state or visibility has changed
+        updateRows(this, changedNodes);
+        updateFilterChangedRows(this, filterChangedNodes);
+
+        // Update the row corresponding to the parent node
+        if (parentNodeIndex >= 0) {
+            this.rows[parentNodeIndex] = this.options.rowRenderer(parentNode, this.options);
+        }
+
+        // Update the rows corresponding to the sibling nodes since their positions have changed
+        updateChildNodeRows(this, parentNode);
+
+        { // Update open nodes and lookup table
+            this.state.openNodes = this.state.openNodes.filter((node) => {
+                return (removedNodes.indexOf(node) < 0) && node.state.open;
+            });
+
+            removedNodes.forEach((node) => {
+                this.nodeTable.unset(node.id);
+            });
+        }
+
+        // Update list
+        this.update();
+
+        return true;
+    }
+
+    // Resizes a column of the table layout, and emits a "columnsChange" event. The width will not be less than the minWidth of the column.
+    // @param {string} key The key of the column.
+    // @param {number} width The width in pixels.
+    // @return {boolean} Returns true on success, false otherwise.
+    resizeColumn(key, width) {
+        if (!setColumnWidth(this, key, width)) {
+            return false;
+        }
+
+        // Emit a "columnsChange" event
+        this.emit('columnsChange', copyColumns(this.options.columns));
+
+        return true;
+    }
+
+    // Retries loading the child nodes of a node that failed to load.
+    // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" event from being triggered.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
+    retryLoadNodes(node, options) {
+        if (!ensureNodeInstance(node)) {
+            return false;
+        }
+
+        if (!node.state.loadError) {
+            return false;
+        }
+
+        delete node.state.loadRetryCount;
+
+        // Load the next page if the node failed to load more child nodes
+        if (node.state.open && hasMoreChildNodes(node)) {
+            return this.loadMoreNodes(node);
+        }
+
+        return this.openNode(node, options);
+    }
+
+    // Opens all the closed ancestors of a node in one flatten and render pass, and scrolls the node into view.
+    // @param {Node|string} node The Node object or the node id.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.select] Pass true to select the node. Defaults to false.
+    // @param {boolean} [options.focus] Pass true to move the keyboard focus to the node. Defaults to false.
+    // @param {string} [options.align] The alignment of the node within the viewport: 'top', 'center', 'bottom', or 'auto'. Defaults to 'auto'.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode", "selectNode" and "focusNode" events from being triggered. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    revealNode(node, options) {
+        const {
+            select = false,
+            focus = false,
+            align = 'auto',
+            silent = false
+        } = { ...options };
+
+        if (!(node instanceof Node) && (node !== undefined) && (node !== null)) {
+            node = this.getNodeById(node);
+        }
+
+        if (!ensureNodeInstance(node) || (node === this.state.rootNode)) {
+            return false;
+        }
+
+        if (!this.nodeTable.has(node.id)) {
+            error('Cannot reveal node with the given node id:', node.id);
+            return false;
+        }
+
+        // The closed ancestors from the top level down to the parent node
+        const closedNodes = [];
+        for (let p = node.parent; p && p !== this.state.rootNode; p = p.parent) {
+            if (this.state.openNodes.indexOf(p) < 0) {
+                closedNodes.unshift(p);
+            }
+        }
+
+        // Only a synchronous approval is supported when opening multiple nodes at once
+        const canOpen = closedNodes.every(closedNode => emitCancelableEvent(this, 'willOpenNode', closedNode) === true);
+        if (!canOpen) {
+            return false;
+        }
+
+        if (closedNodes.length > 0) {
+            closedNodes.forEach((closedNode) => {
+                closedNode.state.open = true;
+            });
+
+            // the most recently used items first
+            this.state.openNodes = closedNodes.concat(this.state.openNodes);
+
+            // The topmost closed ancestor is visible since all of its ancestors are open
+            const topNode = closedNodes[0];
+            const topNodeIndex = this.nodes.indexOf(topNode);
+            const nodes = flatten(topNode.children, { openNodes: this.state.openNodes });
+            const rows = nodes.map(node => this.options.rowRenderer(node, this.options));
+
+            // Update nodes & rows
+            this.nodes.splice.apply(this.nodes, [topNodeIndex + 1, 0].concat(nodes));
+            this.rows.splice.apply(this.rows, [topNodeIndex + 1, 0].concat(rows));
+
+            // Update the row corresponding to the topmost node
+            this.rows[topNodeIndex] = this.options.rowRenderer(topNode, this.options);
+
+            // Update list
+            this.update();
+
+            if (!silent) {
+                closedNodes.forEach((closedNode) => {
+                    // Emit a "openNode" event
+                    this.emit('openNode', closedNode);
+                });
+            }
+        }
+
+        if (select && !this.isSelected(node)) {
+            this.selectNode(node, { autoScroll: false, silent: silent });
         }
 
-        { // Update open nodes and lookup table
-            this.state.openNodes = this.state.openNodes.filter((node) => {
-                return (removedNodes.indexOf(node) < 0) && node.state.open;
-            });
-
-            removedNodes.forEach((node) => {
-                this.nodeTable.unset(node.id);
-            });
+        if (focus) {
+            this.focusNode(node, { autoScroll: false, silent: silent });
         }
 
-        // Update list
-        this.update();
+        this.scrollToNode(node, { align: align });
 
         return true;
     }
 
     // Sets the current scroll position to this node.
     // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {string} [options.align] The alignment of the node within the viewport: 'top', 'center', 'bottom', or 'auto'. Use 'auto' to scroll only when the node is out of view. Defaults to 'top'.
     // @return {boolean} Returns true on success, false otherwise.
-    scrollToNode(node) {
+    scrollToNode(node, options) {
+        const { align = 'top' } = { ...options };
+
         if (!ensureNodeInstance(node)) {
             return false;
         }
@@ -1493,17 +4545,42 @@ class InfiniteTree extends events.EventEmitter {
             }
             firstChild = firstChild.nextSibling;
         }
-        // If all items in the list is the same height, it can be calculated by nodeIndex * height.
-        const offsetHeight = (firstChild && firstChild.offsetHeight) || 0;
-        if (offsetHeight > 0) {
-            this.scrollTop(nodeIndex * offsetHeight);
-        }
 
         // Find the absolute position of the node
         const nodeSelector = `[${this.options.nodeIdAttr}="${node.id}"]`;
         const nodeEl = this.contentElement.querySelector(nodeSelector);
+
+        // If all items in the list is the same height, it can be calculated by rowIndex * height.
+        const offsetHeight = (nodeEl && nodeEl.offsetHeight) || (firstChild && firstChild.offsetHeight) || 0;
+        if (!nodeEl && offsetHeight <= 0) {
+            return true;
+        }
+
+        // The sticky column header of the table layout is placed above the rows, and covers the top of the visible area
+        const headerHeight = (this.headerElement && this.headerElement.offsetHeight) || 0;
+
+        let offsetTop = 0;
         if (nodeEl) {
-            this.scrollTop(nodeEl.offsetTop);
+            offsetTop = nodeEl.offsetTop;
+        } else {
+            offsetTop = headerHeight + getRenderedRowIndex(this, nodeIndex) * offsetHeight;
+        }
+
+        const scrollTop = this.scrollTop();
+        const clientHeight = this.scrollElement.clientHeight;
+
+        if (align === 'auto') {
+            if (offsetTop - headerHeight < scrollTop) {
+                this.scrollTop(offsetTop - headerHeight);
+            } else if (offsetTop + offsetHeight > scrollTop + clientHeight) {
+                this.scrollTop(offsetTop + offsetHeight - clientHeight);
+            }
+        } else if (align === 'center') {
+            this.scrollTop(Math.max(offsetTop - headerHeight - Math.floor((clientHeight - headerHeight - offsetHeight) / 2), 0));
+        } else if (align === 'bottom') {
+            this.scrollTop(Math.max(offsetTop + offsetHeight - clientHeight, 0));
+        } else {
+            this.scrollTop(offsetTop - headerHeight);
         }
 
         return true;
@@ -1522,17 +4599,150 @@ class InfiniteTree extends events.EventEmitter {
         return this.scrollElement.scrollTop;
     }
 
-    // Selects a node.
+    // Searches nodes with the searchNodes option, including the nodes that have not been loaded yet, and renders the results as a filtered view.
+    // The searchNodes option is called with (query, next, { signal }), and passes an array of node paths to next(err, paths), or returns a promise that resolves to the paths. Each path is an array of node ids from the top level down to the matched node, or a string of node ids separated by slashes.
+    // The child nodes along each path will be loaded with loadNodes, and a "searchProgress" event will be emitted with { query, loaded, total } as each path is resolved. The paths that cannot be resolved will be skipped.
+    // The pending search will be canceled by a new search, cancelSearch() or unfilter(), and the open nodes, the selection and the scroll position before searching will be restored by unfilter().
+    // @param {string} query The search query.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.includeDescendants] Whether to include descendant nodes of the matched nodes. Defaults to false.
+    // @param {boolean} [options.silent] Pass true to prevent "openNode" events from being triggered. Defaults to false.
+    // @return {Promise} Returns a promise that resolves to an array of the matched Node objects, or null if the search is canceled, or rejects with an error if searchNodes fails.
+    search(query, options) {
+        const { includeDescendants = false, silent = false } = { ...options };
+        const { searchNodes } = this.options;
+
+        // Cancel the previous search
+        this.cancelSearch();
+
+        if (typeof searchNodes !== 'function') {
+            return Promise.reject(new Error('The searchNodes option must be a function.'));
+        }
+
+        const controller = createAbortController();
+        const signal = controller.signal;
+        const getAbortReason = () => signal.reason || createAbortError('The search was canceled.');
+
+        this.searchController = controller;
+
+        // The open nodes will be changed while loading the child nodes along the paths
+        const prevUnfilterState = this.unfilterState;
+        saveUnfilterState(this);
+
+        const finishSearch = () => {
+            if (this.searchController === controller) {
+                this.searchController = null;
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            const next = (err, paths) => {
+                // Discard the late results of a canceled search
+                if (signal.aborted) {
+                    return;
+                }
+
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(ensureArray(paths));
+                }
+            };
+
+            signal.addEventListener('abort', () => {
+                reject(getAbortReason());
+            });
+
+            const promise = searchNodes(query, next, { signal: signal });
+
+            if (promise && typeof promise.then === 'function') {
+                promise.then((paths) => {
+                    next(null, paths);
+                }, (err) => {
+                    next(err || new Error('Failed to search nodes'));
+                });
+            }
+        }).then((paths) => {
+            const idPaths = paths.map(parseIdPath).filter(ids => ids.length > 0);
+            const matchedNodes = [];
+            const total = idPaths.length;
+            let loaded = 0;
+
+            this.emit('searchProgress', { query, loaded, total });
+
+            const resolvePath = (index) => {
+                if (index >= total) {
+                    return Promise.resolve(matchedNodes);
+                }
+
+                return resolveNodePath(this, idPaths[index], { silent, signal })
+                    .then((node) => {
+                        if (matchedNodes.indexOf(node) < 0) {
+                            matchedNodes.push(node);
+                        }
+                    }, () => {
+                        // Skip the path that cannot be resolved unless the search is canceled
+                        if (signal.aborted) {
+                            throw getAbortReason();
+                        }
+                    })
+                    .then(() => {
+                        this.emit('searchProgress', { query, loaded: ++loaded, total });
+                        return resolvePath(index + 1);
+                    });
+            };
+
+            return resolvePath(0);
+        }).then((matchedNodes) => {
+            finishSearch();
+
+            if (signal.aborted) {
+                return null;
+            }
+
+            const matchedNodeTable = new LookupTable();
+            matchedNodes.forEach((node) => {
+                matchedNodeTable.set(node.id, node);
+            });
+
+            this.filter((node) => matchedNodeTable.get(node.id) === node, {
+                includeAncestors: true,
+                includeDescendants: includeDescendants
+            });
+
+            return matchedNodes;
+        }, (err) => {
+            finishSearch();
+
+            // Resolve a canceled search to null, so that canceling it with a new search or unfilter() does not cause an unhandled rejection
+            if (signal.aborted) {
+                return null;
+            }
+
+            // Discard the saved state unless it was saved by the active filter
+            if (!prevUnfilterState) {
+                this.unfilterState = null;
+            }
+
+            throw err;
+        });
+    }
+
+    // Selects a node. In the multiple selection mode, the selection will be replaced by the node.
     // @param {Node} node The Node object. If null or undefined, deselects the current node.
     // @param {object} [options] The options object.
     // @param {boolean} [options.autoScroll] Pass true to automatically scroll to the selected node. Defaults to true.
-    // @param {boolean} [options.silent] Pass true to prevent "selectNode" event from being triggered. Defaults to false.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @param {boolean} [options.silent] Pass true to prevent "selectNode" and "selectionChange" events from being triggered. Defaults to false.
+    // @param {boolean} [options.force] Pass true to select a disabled node. Defaults to false.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     selectNode(node = null, options) {
         const { selectable, shouldSelectNode } = this.options;
-        const { autoScroll = true, silent = false } = { ...options };
+        const { autoScroll = true, silent = false, force = false } = { ...options };
 
-        this.emit('willSelectNode', node);
+        const canSelect = emitCancelableEvent(this, 'willSelectNode', node);
+        if (canSelect !== true) {
+            return canSelect && handleDeferredAction(deferAction(this, 'willSelectNode', node, canSelect, () => this.selectNode(node, options)), options);
+        }
 
         if (!selectable) {
             return false;
@@ -1544,94 +4754,245 @@ class InfiniteTree extends events.EventEmitter {
             return false;
         }
 
-        if (node === null) {
-            // Deselect the current node
-            if (this.state.selectedNode) {
-                const selectedNode = this.state.selectedNode;
-                const selectedIndex = this.nodes.indexOf(this.state.selectedNode);
+        if (node !== null) {
+            if (!ensureNodeInstance(node)) {
+                return false;
+            }
 
-                selectedNode.state.selected = false;
-                this.rows[selectedIndex] = this.options.rowRenderer(selectedNode, this.options);
-                this.state.selectedNode = null;
+            // Retrieve node index
+            const nodeIndex = this.nodes.indexOf(node);
+            if (nodeIndex < 0) {
+                return false;
+            }
 
-                // Update list
-                this.update();
+            // Disabled nodes cannot be selected unless forced
+            if (!force && isNodeDisabled(node)) {
+                return false;
+            }
+        }
 
-                if (!silent) {
-                    // Emit a "selectNode" event
-                    this.emit('selectNode', null);
-                }
+        const prevSelectedNode = this.state.selectedNode;
+        const prevSelectedNodes = this.getSelectedNodes();
 
-                return true;
-            }
+        // Deselect the node if it is the only one selected
+        if (prevSelectedNodes.length === 1 && prevSelectedNodes[0] === node) {
+            node = null;
+        }
 
+        if (node === null && prevSelectedNodes.length === 0) {
             return false;
         }
 
-        if (!ensureNodeInstance(node)) {
-            return false;
+        const selectedNodes = node ? [node] : [];
+        const addedNodes = difference(selectedNodes, prevSelectedNodes);
+        const removedNodes = difference(prevSelectedNodes, selectedNodes);
+
+        // Deselect the current nodes
+        removedNodes.forEach((selectedNode) => {
+            selectedNode.state.selected = false;
+        });
+
+        // Select this node
+        addedNodes.forEach((selectedNode) => {
+            selectedNode.state.selected = true;
+        });
+
+        // Update the rows corresponding to the nodes
+        addedNodes.concat(removedNodes).forEach((selectedNode) => {
+            const selectedIndex = this.nodes.indexOf(selectedNode);
+            if (selectedIndex >= 0) {
+                this.rows[selectedIndex] = this.options.rowRenderer(selectedNode, this.options);
+            }
+        });
+
+        this.state.selectedNode = node;
+        this.state.selectedNodes = selectedNodes;
+
+        // Move the focus to the selected node, which will be rendered along with the selection
+        const focusChanged = !!node && setFocusedNode(this, node);
+
+        if (!silent && (node !== prevSelectedNode)) {
+            // Emit a "selectNode" event
+            this.emit('selectNode', node);
         }
 
-        // Retrieve node index
-        const nodeIndex = this.nodes.indexOf(node);
-        if (nodeIndex < 0) {
-            return false;
+        if (node && autoScroll && this.scrollElement && this.contentElement) {
+            const nodeSelector = `[${this.options.nodeIdAttr}="${node.id}"]`;
+            const nodeEl = this.contentElement.querySelector(nodeSelector);
+            if (nodeEl) {
+                const offsetTop = nodeEl.offsetTop || 0;
+                const offsetHeight = nodeEl.offsetHeight || 0;
+
+                // Scroll Up
+                if (offsetTop < this.scrollElement.scrollTop) {
+                    this.scrollElement.scrollTop = offsetTop;
+                }
+
+                // Scroll Down
+                if (offsetTop + offsetHeight >= this.scrollElement.scrollTop + this.scrollElement.clientHeight) {
+                    this.scrollElement.scrollTop += offsetHeight;
+                }
+            }
         }
 
-        // Select this node
-        if (this.state.selectedNode !== node) {
-            node.state.selected = true;
+        // Update list
+        this.update();
 
-            // Update the row corresponding to the node
-            this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
+        if (!silent && focusChanged) {
+            // Emit a "focusNode" event
+            this.emit('focusNode', node);
         }
 
-        // Deselect the current node
-        if (this.state.selectedNode) {
-            const selectedNode = this.state.selectedNode;
-            const selectedIndex = this.nodes.indexOf(this.state.selectedNode);
-            selectedNode.state.selected = false;
-            this.rows[selectedIndex] = this.options.rowRenderer(selectedNode, this.options);
+        if (!silent) {
+            // Emit a "selectionChange" event
+            this.emit('selectionChange', {
+                addedNodes: addedNodes,
+                removedNodes: removedNodes
+            });
         }
 
-        if (this.state.selectedNode !== node) {
-            this.state.selectedNode = node;
+        return true;
+    }
 
-            if (!silent) {
-                // Emit a "selectNode" event
-                this.emit('selectNode', node);
+    // Adds nodes to the selection. This method is only available in the multiple selection mode.
+    // @param {Node|array} nodes A Node object or an array of Node objects.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.replace] Pass true to deselect the nodes that are not specified. Defaults to false.
+    // @param {boolean} [options.silent] Pass true to prevent "selectionChange" event from being triggered. Defaults to false.
+    // @param {boolean} [options.force] Pass true to select disabled nodes. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    selectNodes(nodes, options) {
+        const { selectable, selectionMode, shouldSelectNode } = this.options;
+        const { replace = false, silent = false, force = false } = { ...options };
+
+        if (!selectable) {
+            return false;
+        }
+        if (selectionMode !== 'multiple') {
+            error('Cannot select multiple nodes unless the selection mode is "multiple"');
+            return false;
+        }
+
+        const prevSelectedNodes = this.state.selectedNodes;
+        const keptNodes = [];
+        const addedNodes = [];
+
+        ensureArray(nodes).forEach((node) => {
+            if ((keptNodes.indexOf(node) >= 0) || (addedNodes.indexOf(node) >= 0)) {
+                return;
+            }
+            if (prevSelectedNodes.indexOf(node) >= 0) {
+                keptNodes.push(node);
+                return;
+            }
+            if (!ensureNodeInstance(node) || (node === this.state.rootNode)) {
+                return;
+            }
+            if (this.nodes.indexOf(node) < 0) {
+                return;
             }
 
-            if (autoScroll && this.scrollElement && this.contentElement) {
-                const nodeSelector = `[${this.options.nodeIdAttr}="${node.id}"]`;
-                const nodeEl = this.contentElement.querySelector(nodeSelector);
-                if (nodeEl) {
-                    const offsetTop = nodeEl.offsetTop || 0;
-                    const offsetHeight = nodeEl.offsetHeight || 0;
+            if ((typeof shouldSelectNode === 'function') && !shouldSelectNode(node)) {
+                return;
+            }
 
-                    // Scroll Up
-                    if (offsetTop < this.scrollElement.scrollTop) {
-                        this.scrollElement.scrollTop = offsetTop;
-                    }
+            // Disabled nodes cannot be selected unless forced
+            if (!force && isNodeDisabled(node)) {
+                return;
+            }
 
-                    // Scroll Down
-                    if (offsetTop + offsetHeight >= this.scrollElement.scrollTop + this.scrollElement.clientHeight) {
-                        this.scrollElement.scrollTop += offsetHeight;
-                    }
-                }
+            // Only a synchronous approval is supported when selecting multiple nodes at once
+            if (emitCancelableEvent(this, 'willSelectNode', node) !== true) {
+                return;
             }
-        } else {
-            this.state.selectedNode = null;
 
-            if (!silent) {
-                // Emit a "selectNode" event
-                this.emit('selectNode', null);
+            addedNodes.push(node);
+        });
+
+        const selectedNodes = replace
+            ? keptNodes.concat(addedNodes)
+            : prevSelectedNodes.concat(addedNodes);
+        const removedNodes = difference(prevSelectedNodes, selectedNodes);
+
+        if (addedNodes.length === 0 && removedNodes.length === 0) {
+            return false;
+        }
+
+        removedNodes.forEach((node) => {
+            node.state.selected = false;
+        });
+        addedNodes.forEach((node) => {
+            node.state.selected = true;
+        });
+
+        // Update the rows corresponding to the nodes
+        addedNodes.concat(removedNodes).forEach((node) => {
+            const nodeIndex = this.nodes.indexOf(node);
+            if (nodeIndex >= 0) {
+                this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
             }
+        });
+
+        this.state.selectedNodes = selectedNodes;
+
+        // The last selected node will be used as the anchor of a range selection
+        if (selectedNodes.indexOf(this.state.selectedNode) < 0) {
+            this.state.selectedNode = addedNodes[addedNodes.length - 1] || selectedNodes[selectedNodes.length - 1] || null;
         }
 
         // Update list
         this.update();
 
+        if (!silent) {
+            // Emit a "selectionChange" event
+            this.emit('selectionChange', {
+                addedNodes: addedNodes,
+                removedNodes: removedNodes
+            });
+        }
+
+        return true;
+    }
+
+    // Sets the columns of the table layout, and renders the header and all rows. Pass null to remove the columns.
+    // @param {array} columns An array of columns { key, title, width, minWidth, align, renderer }, such as the columns passed to a "columnsChange" event listener.
+    setColumns(columns) {
+        this.options.columns = columns ? normalizeColumns(columns) : null;
+
+        renderColumnHeader(this);
+        renderRows(this);
+    }
+
+    // Sorts the child nodes of a parent node in place, and renders the affected rows at once.
+    // @param {Node} [parentNode] The Node object that defines the parent node. Defaults to the root node.
+    // @param {function|string} [comparator] A function (a, b) to compare two nodes, or 'folders-first' for the built-in comparator that sorts folders before files by name in natural order. Defaults to the sortComparator option.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.recursive] Pass true to sort the child nodes of all descendants as well. Defaults to false.
+    // @return {boolean} Returns true on success, false otherwise.
+    // @example
+    //
+    // tree.sortChildNodes(node, (a, b) => a.name.localeCompare(b.name));
+    // tree.sortChildNodes(null, 'folders-first', { recursive: true });
+    sortChildNodes(parentNode, comparator, options) {
+        // Defaults to rootNode if the parentNode is not specified
+        parentNode = parentNode || this.state.rootNode;
+
+        if (!ensureNodeInstance(parentNode)) {
+            return false;
+        }
+
+        comparator = getSortComparator(comparator || this.options.sortComparator);
+        if (!comparator) {
+            error('The comparator must be a function or "folders-first".');
+            return false;
+        }
+
+        const { recursive = false } = { ...options };
+        if (sortChildNodesAndRows(this, parentNode, comparator, recursive)) {
+            // Update list
+            this.update();
+        }
+
         return true;
     }
 
@@ -1673,7 +5034,8 @@ class InfiniteTree extends events.EventEmitter {
     // @param {Node} node The Node object.
     // @param {object} [options] The options object.
     // @param {boolean} [options.silent] Pass true to prevent "closeNode", "openNode", and "selectNode" events from being triggered.
-    // @return {boolean} Returns true on success, false otherwise.
+    // @param {boolean} [options.force] Pass true to toggle a disabled node. Defaults to false.
+    // @return {boolean} Returns true on success, false if the action is canceled or deferred by a listener, or cannot be performed.
     toggleNode(node, options) {
         if (!ensureNodeInstance(node)) {
             return false;
@@ -1688,6 +5050,15 @@ class InfiniteTree extends events.EventEmitter {
         }
     }
 
+    // Toggles a node to display or hide its children.
+    // @param {Node} node The Node object.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.silent] Pass true to prevent "closeNode", "openNode", and "selectNode" events from being triggered.
+    // @return {Promise} Returns a promise that resolves to true after the rows are rendered, false otherwise.
+    toggleNodeAsync(node, options) {
+        return callAsync((options) => this.toggleNode(node, options), options);
+    }
+
     // Serializes the current state of a node to a JSON string.
     // @param {Node} node The Node object. If null, returns the whole tree.
     // @return {string} Returns a JSON string represented the tree.
@@ -1728,30 +5099,60 @@ class InfiniteTree extends events.EventEmitter {
         return traverse(node);
     }
 
-    // Unfilters nodes.
+    // Unfilters nodes by removing all filter layers, and cancels the pending search. If nodes were opened by search() or the autoOpen filter option, the open nodes, the selection and the scroll position before filtering will be restored.
     unfilter() {
+        this.cancelSearch();
+        cancelFilterTask(this);
+
         this.filtered = false;
+        this.filterLayers = [];
+        this.state.matchedNodes = [];
 
         const rootNode = this.state.rootNode;
-        const traverse = (node) => {
+        const stack = [rootNode];
+        while (stack.length > 0) {
+            const node = stack.pop();
             if (!node) {
-                return;
+                continue;
             }
             delete node.state.filtered;
-
-            if (!node.children) {
-                return;
-            }
-            for (let i = 0; i < node.children.length; ++i) {
-                const childNode = node.children[i];
-                if (!childNode) {
-                    continue;
-                }
-                traverse(childNode);
+            delete node.state.filterKept;
+            delete node.state.filterLayers;
+            delete node.state.filterPosInSet;
+            delete node.state.filterSetSize;
+            delete node.state.filterMatched;
+            delete node.state.filterMatches;
+            delete node.state.filterScore;
+
+            const children = node.children || [];
+            for (let i = 0; i < children.length; ++i) {
+                stack.push(children[i]);
             }
-        };
+        }
+
+        let shouldUpdateNodes = restoreChildNodesOrder(this);
 
-        traverse(rootNode);
+        // Nodes that have been removed while filtering will not be restored
+        const unfilterState = this.unfilterState;
+        const isInTree = (node) => isNodeInTree(this, node);
+        this.unfilterState = null;
+
+        if (unfilterState) {
+            const openNodes = unfilterState.openNodes.filter(isInTree);
+            this.state.openNodes.forEach((node) => {
+                node.state.open = false;
+            });
+            openNodes.forEach((node) => {
+                node.state.open = true;
+            });
+            this.state.openNodes = openNodes;
+            shouldUpdateNodes = true;
+        }
+
+        // Update nodes
+        if (shouldUpdateNodes) {
+            this.nodes = flatten(rootNode.children, { openNodes: this.state.openNodes });
+        }
 
         // Update rows
         this.rows.length = this.nodes.length;
@@ -1761,6 +5162,29 @@ class InfiniteTree extends events.EventEmitter {
         }
 
         this.update();
+
+        if (unfilterState) {
+            // Restore the selection and the focus
+            if (this.options.selectionMode === 'multiple') {
+                const selectedNodes = unfilterState.selectedNodes.filter(isInTree);
+                if (difference(this.state.selectedNodes, selectedNodes).length > 0 || difference(selectedNodes, this.state.selectedNodes).length > 0) {
+                    this.selectNodes(selectedNodes, { replace: true });
+                }
+            } else {
+                const selectedNode = isInTree(unfilterState.selectedNode) ? unfilterState.selectedNode : null;
+                if (this.state.selectedNode !== selectedNode) {
+                    this.selectNode(selectedNode, { autoScroll: false });
+                }
+            }
+
+            const focusedNode = isInTree(unfilterState.focusedNode) ? unfilterState.focusedNode : null;
+            if (this.state.focusedNode !== focusedNode) {
+                this.focusNode(focusedNode, { autoScroll: false });
+            }
+
+            // Restore the scroll position
+            this.scrollTop(unfilterState.scrollTop);
+        }
     }
 
     // Updates the tree.
@@ -1769,13 +5193,50 @@ class InfiniteTree extends events.EventEmitter {
         this.emit('contentWillUpdate');
 
         if (this.clusterize) {
+            const rows = [];
+            const loadMoreRows = getLoadMoreRows(this);
+            let loadMoreRowIndex = 0;
+
+            for (let i = 0; i < this.nodes.length; ++i) {
+                if (this.rows[i]) {
+                    rows.push(this.rows[i]);
+                }
+
+                // Add a "Load more" row after the last descendant of each paginated node
+                while ((loadMoreRowIndex < loadMoreRows.length) && (loadMoreRows[loadMoreRowIndex].index <= i)) {
+                    rows.push(this.options.loadMoreRowRenderer(loadMoreRows[loadMoreRowIndex].node, this.options));
+                    ++loadMoreRowIndex;
+                }
+            }
+
+            this.loadMoreRows = loadMoreRows;
+
             // Update list
-            const rows = this.rows.filter(row => !!row);
             this.clusterize.update(rows);
         }
 
+        if (this.contentElement) {
+            // The selectionMode option might have been changed after the tree was created
+            if (this.options.selectionMode === 'multiple') {
+                this.contentElement.setAttribute('aria-multiselectable', 'true');
+            } else {
+                this.contentElement.removeAttribute('aria-multiselectable');
+            }
+
+            // The row of the active descendant might not be rendered due to virtualization, but
+            // it will be available once it is scrolled into view.
+            const node = this.state.focusedNode || this.state.selectedNode;
+            if (node && (this.nodes.indexOf(node) >= 0)) {
+                this.contentElement.setAttribute('aria-activedescendant', getRowElementId(node, this.options));
+            } else {
+                this.contentElement.removeAttribute('aria-activedescendant');
+            }
+        }
+
         // Emit a "contentWillUpdate" event
         this.emit('contentDidUpdate');
+
+        autoLoadMoreNodes(this);
     }
 
     // Updates the data of a node.
@@ -1805,6 +5266,25 @@ class InfiniteTree extends events.EventEmitter {
 
         node = extend(node, data);
 
+        // Test the node against the active filter again since the data has changed
+        const filtered = node.state.filtered;
+        delete node.state.filterLayers;
+        const filterChangedNodes = refilterBranch(this, node.parent, { childNodes: [node] });
+        if (node.state.filtered !== filtered) {
+            filterChangedNodes.push(node);
+        }
+
+        // Move the node to its sorted position among the sibling nodes, which will be rendered along with the node
+        const comparator = getSortComparator(this.options.sortComparator);
+        let sorted = false;
+        if (comparator && node.parent) {
+            const previousSibling = node.getPreviousSibling();
+            const nextSibling = node.getNextSibling();
+            if ((previousSibling && comparator(previousSibling, node) > 0) || (nextSibling && comparator(node, nextSibling) > 0)) {
+                sorted = sortChildNodesAndRows(this, node.parent, comparator, false);
+            }
+        }
+
         // Retrieve node index
         const nodeIndex = this.nodes.indexOf(node);
         if (nodeIndex >= 0) {
@@ -1813,7 +5293,8 @@ class InfiniteTree extends events.EventEmitter {
             // Update the row corresponding to the node
             this.rows[nodeIndex] = this.options.rowRenderer(node, this.options);
 
-            if (!shallowRendering) {
+            // The visibility of the child nodes might have changed with the filter
+            if (!shallowRendering || this.filtered) {
                 const total = node.state.total;
                 const rangeFrom = nodeIndex + 1;
                 const rangeTo = nodeIndex + total;
@@ -1821,11 +5302,25 @@ class InfiniteTree extends events.EventEmitter {
                     this.rows[index] = this.options.rowRenderer(this.nodes[index], this.options);
                 }
             }
+        }
+
+        // Update the rows corresponding to the node and the ancestors whose visibility has changed
+        updateFilterChangedRows(this, filterChangedNodes);
 
+        if ((nodeIndex >= 0) || (filterChangedNodes.length > 0) || sorted) {
             // Update list
             this.update();
         }
     }
 }
 
+// Escapes the text, and wraps the matched character ranges (i.e. node.state.filterMatches[filterPath]) with the <mark> tag.
+// It can be used in a custom row renderer or cell renderer to highlight the filter matches of any filter path.
+InfiniteTree.highlightText = highlightText;
+
+// The comparators that can be passed to the sortComparator option or sortChildNodes(), or be composed into a custom comparator.
+InfiniteTree.createFoldersFirstComparator = createFoldersFirstComparator;
+InfiniteTree.foldersFirstComparator = foldersFirstComparator;
+InfiniteTree.naturalCompare = naturalCompare;
+
 export default InfiniteTree;
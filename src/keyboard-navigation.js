@@ -0,0 +1,277 @@
+// Keyboard interaction for the WAI-ARIA tree view pattern.
+// https://www.w3.org/TR/wai-aria-practices-1.1/#TreeView
+import { get, isNodeDisabled } from './utilities';
+
+const keyCodes = {
+    13: 'Enter',
+    32: ' ',
+    33: 'PageUp',
+    34: 'PageDown',
+    35: 'End',
+    36: 'Home',
+    37: 'ArrowLeft',
+    38: 'ArrowUp',
+    39: 'ArrowRight',
+    40: 'ArrowDown',
+    106: '*'
+};
+
+// Non-standard key values used by IE and Edge
+const keyAliases = {
+    'Down': 'ArrowDown',
+    'Left': 'ArrowLeft',
+    'Multiply': '*',
+    'Right': 'ArrowRight',
+    'Spacebar': ' ',
+    'Up': 'ArrowUp'
+};
+
+// The keys handled by handleKeyboardNavigation
+const navigationKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', 'Enter', ' ', '*'];
+
+const getKey = (event) => {
+    if (event.key) {
+        return keyAliases[event.key] || event.key;
+    }
+    return keyCodes[event.keyCode || event.which];
+};
+
+// Nodes that are filtered out or disabled cannot be navigated to
+const isNavigable = (node) => {
+    return !!node && (node.state.filtered !== false) && !isNodeDisabled(node);
+};
+
+const isExpandable = (tree, node) => {
+    if (node.hasChildren()) {
+        return true;
+    }
+    if (typeof tree.options.shouldLoadNodes === 'function') {
+        return !!(tree.options.shouldLoadNodes(node));
+    }
+    return !!node.loadOnDemand;
+};
+
+const isOpen = (tree, node) => {
+    return tree.state.openNodes.indexOf(node) >= 0;
+};
+
+// Finds the first navigable node starting from the specified index in the given direction.
+const findNode = (tree, fromIndex, step) => {
+    for (let i = fromIndex; i >= 0 && i < tree.nodes.length; i += step) {
+        const node = tree.nodes[i];
+        if (isNavigable(node)) {
+            return node;
+        }
+    }
+    return null;
+};
+
+// Returns the number of rows that fit in the viewport.
+const getPageSize = (tree) => {
+    const itemHeight = tree.clusterize ? tree.clusterize.state.itemHeight : 0;
+    const clientHeight = tree.scrollElement ? tree.scrollElement.clientHeight : 0;
+
+    if (itemHeight > 0 && clientHeight > 0) {
+        return Math.max(Math.floor(clientHeight / itemHeight) - 1, 1);
+    }
+
+    return 10; // Falls back to 10 rows if the height cannot be measured
+};
+
+// Moves by a page of rendered rows in the given direction.
+const findNodeByPage = (tree, nodeIndex, step) => {
+    const pageSize = getPageSize(tree);
+    let index = nodeIndex;
+    let count = 0;
+
+    for (let i = nodeIndex + step; i >= 0 && i < tree.nodes.length && count < pageSize; i += step) {
+        // The "Load more" rows between the previous node and this node take up the page as well
+        const prevIndex = Math.min(i, i - step);
+        count += tree.loadMoreRows.filter(loadMoreRow => loadMoreRow.index === prevIndex).length;
+
+        // Rows of the nodes that are filtered out will not be rendered
+        if (tree.nodes[i].state.filtered !== false) {
+            index = i;
+            ++count;
+        }
+    }
+
+    return findNode(tree, index, step) || findNode(tree, index, -step);
+};
+
+const moveTo = (tree, node, currentNode) => {
+    if (!node || node === currentNode) {
+        return;
+    }
+
+    tree.focusNode(node, { autoScroll: false });
+
+    if (tree.options.selectionMode !== 'multiple' && tree.options.selectionFollowsFocus) {
+        tree.selectNode(node, { autoScroll: false });
+    }
+
+    tree.scrollToNode(node, { align: 'auto' });
+};
+
+// Returns the focused node, or the selected node if no node has the focus.
+const getCurrentNode = (tree) => {
+    const focusedNode = tree.getFocusedNode();
+    if (focusedNode && tree.nodes.indexOf(focusedNode) >= 0) {
+        return focusedNode;
+    }
+    return tree.getSelectedNode();
+};
+
+// Handles a keydown event on the tree content.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Event} event The keydown event.
+// @return {boolean} Returns true if the key was handled, false otherwise.
+const handleKeyboardNavigation = (tree, event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey) {
+        return false;
+    }
+
+    const key = getKey(event);
+    if (navigationKeys.indexOf(key) < 0) {
+        return false;
+    }
+
+    const node = getCurrentNode(tree);
+    const nodeIndex = tree.nodes.indexOf(node);
+
+    // Moves to the first node if there is no current node
+    if (nodeIndex < 0 || !isNavigable(node)) {
+        moveTo(tree, findNode(tree, 0, 1), null);
+        return true;
+    }
+
+    if (key === 'ArrowDown') {
+        moveTo(tree, findNode(tree, nodeIndex + 1, 1), node);
+    } else if (key === 'ArrowUp') {
+        moveTo(tree, findNode(tree, nodeIndex - 1, -1), node);
+    } else if (key === 'ArrowRight') {
+        if (!isExpandable(tree, node)) {
+            return true;
+        }
+        if (!isOpen(tree, node)) {
+            // Opens a closed node, the child nodes will be loaded if needed
+            tree.openNode(node);
+        } else {
+            const childNode = node.children.filter(isNavigable)[0];
+            moveTo(tree, childNode, node);
+        }
+    } else if (key === 'ArrowLeft') {
+        if (isOpen(tree, node)) {
+            tree.closeNode(node);
+        } else if (node.parent !== tree.state.rootNode && isNavigable(node.parent)) {
+            moveTo(tree, node.parent, node);
+        }
+    } else if (key === 'Home') {
+        moveTo(tree, findNode(tree, 0, 1), node);
+    } else if (key === 'End') {
+        moveTo(tree, findNode(tree, tree.nodes.length - 1, -1), node);
+    } else if (key === 'PageDown') {
+        moveTo(tree, findNodeByPage(tree, nodeIndex, 1), node);
+    } else if (key === 'PageUp') {
+        moveTo(tree, findNodeByPage(tree, nodeIndex, -1), node);
+    } else if (key === '*') {
+        // Expands all siblings that are at the same level as the current node in one render pass
+        const siblingNodes = node.parent.children.filter((siblingNode) => {
+            return isNavigable(siblingNode) && isExpandable(tree, siblingNode) && !isOpen(tree, siblingNode);
+        });
+        tree.openNodes(siblingNodes);
+    } else if (key === 'Enter') {
+        if (isExpandable(tree, node)) {
+            tree.toggleNode(node);
+        }
+    } else if (key === ' ') {
+        if (tree.options.selectionMode === 'multiple') {
+            if (tree.isSelected(node) && tree.getSelectedNodes().length > 1) {
+                tree.deselectNodes(node);
+            } else {
+                tree.selectNodes(node);
+            }
+        } else if (!tree.isSelected(node)) {
+            tree.selectNode(node, { autoScroll: false });
+        }
+    }
+
+    return true;
+};
+
+const defaultTypeAheadOptions = {
+    path: 'name', // Gets the value at path of Node object
+    timeout: 500 // The number of milliseconds to wait before clearing the typed characters
+};
+
+// Finds the next node whose value at path starts with the search string, wrapping around to the beginning.
+const findNodeByText = (tree, fromIndex, path, text) => {
+    const length = tree.nodes.length;
+
+    for (let i = 0; i < length; ++i) {
+        const node = tree.nodes[(fromIndex + i) % length];
+        if (isNavigable(node) && String(get(node, path, '')).toLowerCase().indexOf(text) === 0) {
+            return node;
+        }
+    }
+
+    return null;
+};
+
+// Handles a keydown event for type-ahead search.
+// @param {InfiniteTree} tree The InfiniteTree object.
+// @param {Event} event The keydown event.
+// @return {boolean} Returns true if the key was handled, false otherwise.
+const handleTypeAhead = (tree, event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey) {
+        return false;
+    }
+
+    const key = event.key;
+    if (!key || key.length !== 1) { // Not a printable character
+        return false;
+    }
+
+    // The space key is a part of the search string only if some characters have been typed
+    if (key === ' ' && !tree.typeAheadText) {
+        return false;
+    }
+
+    // The other navigation keys (e.g. "*" to expand all sibling nodes) are left to keyboard navigation
+    if (key !== ' ' && tree.options.keyboardNavigation && navigationKeys.indexOf(getKey(event)) >= 0) {
+        return false;
+    }
+
+    const { path, timeout } = {
+        ...defaultTypeAheadOptions,
+        ...(typeof tree.options.typeAhead === 'object' ? tree.options.typeAhead : null)
+    };
+
+    clearTimeout(tree.typeAheadTimer);
+    tree.typeAheadText += key.toLowerCase();
+    tree.typeAheadTimer = setTimeout(() => {
+        tree.typeAheadText = '';
+        tree.typeAheadTimer = null;
+    }, timeout);
+
+    const text = tree.typeAheadText;
+    const node = getCurrentNode(tree);
+    const nodeIndex = tree.nodes.indexOf(node);
+
+    // Typing the same character repeatedly cycles through the nodes that start with that character,
+    // otherwise the current node is kept if it still matches the search string.
+    const isRepeated = text.split('').every(c => c === text[0]);
+    const searchText = isRepeated ? text[0] : text;
+    const fromIndex = (isRepeated ? nodeIndex + 1 : Math.max(nodeIndex, 0)) % tree.nodes.length;
+
+    const foundNode = tree.nodes.length > 0 ? findNodeByText(tree, fromIndex, path, searchText) : null;
+    if (foundNode) {
+        moveTo(tree, foundNode, node);
+    }
+
+    return true;
+};
+
+export { handleTypeAhead };
+
+export default handleKeyboardNavigation;
@@ -2,13 +2,125 @@
 import classNames from 'classnames';
 import escapeHTML from 'escape-html';
 import tag from 'html5-tag';
+import { get, isNodeDisabled } from './utilities';
 
+// The number of nodes without an id that have been given a row key
+let anonymousNodeCount = 0;
+
+// Returns the id attribute of the row element, which can be referenced by aria-activedescendant.
+// A node without an id is given a unique row key, which starts with ":" that will not be produced by encodeURIComponent, so it never collides with the id of another node.
+const getRowElementId = (node, treeOptions) => {
+    if (node.id === undefined || node.id === null) {
+        if (!node.state.rowKey) {
+            node.state.rowKey = `:${++anonymousNodeCount}`;
+        }
+        return treeOptions.rowIdPrefix + node.state.rowKey;
+    }
+
+    return treeOptions.rowIdPrefix + encodeURIComponent(node.id);
+};
+
+// Returns the 1-based position of the node within its siblings, and the number of siblings. Sibling nodes that are filtered out will not be counted.
+const getPositionInSet = (node) => {
+    const parentNode = node.parent;
+    const siblings = parentNode ? parentNode.children : [node];
+
+    // Only the visible sibling nodes will be counted if the tree is filtered
+    if (node.state.filtered !== undefined) {
+        if (node.state.filterPosInSet && parentNode && Number.isFinite(parentNode.state.filterSetSize)) {
+            return {
+                posInSet: node.state.filterPosInSet,
+                setSize: parentNode.state.filterSetSize
+            };
+        }
+
+        const visibleSiblings = siblings.filter(siblingNode => siblingNode.state.filtered !== false);
+        return {
+            posInSet: visibleSiblings.indexOf(node) + 1,
+            setSize: visibleSiblings.length
+        };
+    }
+
+    // The last segment of the path is the index of the node (e.g. ".0.1.2")
+    let index = Number((node.state.path || '').replace(/^.*\./, ''));
+    if (siblings[index] !== node) {
+        index = siblings.indexOf(node);
+    }
+
+    return {
+        posInSet: index + 1,
+        setSize: siblings.length
+    };
+};
+
+// Escapes the text, and wraps the characters within the [start, end) ranges with the <mark> tag.
+const highlightText = (text, ranges) => {
+    text = String(text);
+
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+        return escapeHTML(text);
+    }
+
+    let html = '';
+    let lastIndex = 0;
+    ranges.forEach(([start, end]) => {
+        start = Math.max(start, lastIndex);
+        end = Math.min(end, text.length);
+        if (start >= end) {
+            return;
+        }
+        html += escapeHTML(text.slice(lastIndex, start)) + tag('mark', {}, escapeHTML(text.slice(start, end)));
+        lastIndex = end;
+    });
+    html += escapeHTML(text.slice(lastIndex));
+
+    return html;
+};
+
+// Returns the columns of the table layout, or null if the columns option is not specified.
+const getTableColumns = (treeOptions) => {
+    const { layout, columns } = treeOptions;
+
+    return (layout === 'table' && Array.isArray(columns) && columns.length > 0) ? columns : null;
+};
+
+// Returns the key of the column that contains the tree node, which is the treeColumn option, or the first column if not found.
+const getTreeColumnKey = (columns, treeOptions) => {
+    const treeColumn = columns.filter(column => column.key === String(treeOptions.treeColumn))[0] || columns[0];
+    return treeColumn.key;
+};
+
+// Renders the content of a cell with the cell renderer of the column, or the value at the column key with the filter matches highlighted.
+const renderCellContent = (node, treeOptions, column) => {
+    const { key, renderer } = column;
+
+    if (typeof renderer === 'function') {
+        return renderer(node, treeOptions, column);
+    }
+
+    const value = get(node, key, '');
+    const filterMatches = node.state.filterMatches;
+
+    return highlightText((value === null) ? '' : value, filterMatches && filterMatches[key]);
+};
+
+// Renders a cell of the table layout.
+const renderCell = (column, content) => {
+    return tag('td', {
+        'class': 'infinite-tree-cell',
+        'data-column-key': column.key,
+        'style': column.align ? `text-align: ${column.align}` : undefined
+    }, content);
+};
+
+// Renders a row. In the table layout with the columns option, each column is rendered as a cell, and the column specified by the treeColumn option contains the tree node.
 const defaultRowRenderer = (node, treeOptions) => {
     const { id, name, loadOnDemand = false, children, state } = node;
     const droppable = treeOptions.droppable;
-    const { depth, open, path, total, selected = false, filtered } = state;
+    const { depth, open, path, total, selected = false, focused = false, checked, indeterminate = false, filtered, filterMatches, loadError } = state;
     const childrenLength = Object.keys(children).length;
     const more = node.hasChildren();
+    const disabled = isNodeDisabled(node);
 
     if (filtered === false) {
         return '';
@@ -38,15 +150,44 @@ const defaultRowRenderer = (node, treeOptions) => {
             return '';
         })()
     }, togglerContent);
-    const title = tag('span', {
-        'class': classNames('infinite-tree-title')
-    }, escapeHTML(name));
-    const treeNode = tag('div', {
-        'class': 'infinite-tree-node',
-        'style': `margin-left: ${depth * 18}px`
-    }, toggler + title);
+    let loadErrorContent = '';
+    if (loadError) {
+        const errorIcon = tag('span', {
+            'class': 'infinite-tree-error',
+            'title': String(loadError.message || loadError)
+        }, escapeHTML(treeOptions.loadErrorIcon));
+        const retryButton = tag('a', {
+            'class': treeOptions.retryClass,
+            'title': treeOptions.retryText
+        }, escapeHTML(treeOptions.retryIcon));
+        loadErrorContent = errorIcon + retryButton;
+    }
+    const renderTreeNode = (titleContent) => {
+        const title = tag('span', {
+            'class': classNames('infinite-tree-title')
+        }, titleContent);
+
+        return tag('div', {
+            'class': 'infinite-tree-node',
+            'style': `margin-left: ${depth * 18}px`
+        }, toggler + title + loadErrorContent);
+    };
+    const { posInSet, setSize } = getPositionInSet(node);
+    let ariaChecked;
+    if (typeof checked === 'boolean') {
+        ariaChecked = (checked && indeterminate) ? 'mixed' : String(checked);
+    }
 
-    return tag('div', {
+    const rowAttributes = {
+        'id': treeOptions.rowIdPrefix ? getRowElementId(node, treeOptions) : undefined,
+        'role': 'treeitem',
+        'aria-level': String(depth + 1),
+        'aria-expanded': (more || loadOnDemand) ? String(more && open) : undefined,
+        'aria-selected': String(selected),
+        'aria-checked': ariaChecked,
+        'aria-disabled': disabled ? 'true' : undefined,
+        'aria-setsize': String(setSize),
+        'aria-posinset': String(posInSet),
         'data-id': id,
         'data-expanded': more && open,
         'data-depth': depth,
@@ -56,12 +197,73 @@ const defaultRowRenderer = (node, treeOptions) => {
         'data-total': total,
         'class': classNames(
             'infinite-tree-item',
-            { 'infinite-tree-selected': selected }
+            { 'infinite-tree-selected': selected },
+            { 'infinite-tree-focused': focused }
         ),
+        'disabled': disabled,
         'droppable': droppable
-    }, treeNode);
+    };
+
+    const columns = getTableColumns(treeOptions);
+    if (columns) {
+        const treeColumnKey = getTreeColumnKey(columns, treeOptions);
+        const cells = columns.map((column) => {
+            const content = renderCellContent(node, treeOptions, column);
+            return renderCell(column, (column.key === treeColumnKey) ? renderTreeNode(content) : content);
+        });
+
+        return tag('tr', rowAttributes, cells.join(''));
+    }
+
+    return tag('div', rowAttributes, renderTreeNode(highlightText(name, filterMatches && filterMatches.name)));
+};
+
+// Renders the "Load more" row after the last child node of a paginated node.
+const defaultLoadMoreRowRenderer = (node, treeOptions) => {
+    const { id, state } = node;
+    const { depth, loadingMore = false, loadError } = state;
+
+    let text = treeOptions.loadMoreText;
+    if (loadingMore) {
+        text = treeOptions.loadingMoreText;
+    } else if (loadError) {
+        text = treeOptions.loadMoreErrorText;
+    }
+
+    const button = tag('a', {
+        'class': 'infinite-tree-load-more-button'
+    }, escapeHTML(text));
+    const treeNode = tag('div', {
+        'class': 'infinite-tree-node',
+        'style': `margin-left: ${(depth + 1) * 18}px`
+    }, button);
+
+    const rowAttributes = {
+        'role': 'treeitem',
+        'aria-level': String(depth + 2),
+        'aria-busy': loadingMore ? 'true' : undefined,
+        'data-load-more': String(id),
+        'class': classNames(
+            'infinite-tree-item',
+            'infinite-tree-load-more'
+        )
+    };
+
+    const columns = getTableColumns(treeOptions);
+    if (columns) {
+        return tag('tr', rowAttributes, tag('td', {
+            'class': 'infinite-tree-cell',
+            'colspan': String(columns.length)
+        }, treeNode));
+    }
+
+    return tag('div', rowAttributes, treeNode);
 };
 
 export {
-    defaultRowRenderer
+    defaultLoadMoreRowRenderer,
+    defaultRowRenderer,
+    getRowElementId,
+    getTableColumns,
+    highlightText
 };
@@ -0,0 +1,87 @@
+// Comparators for sorting child nodes.
+import { get } from './utilities';
+
+// Splits a string into chunks of digits and non-digits (e.g. "file10.txt" => ["file", "10", ".txt"])
+const reChunk = /\d+|\D+/g;
+const reDigits = /^\d+$/;
+
+// Compares two strings in natural order, where numbers are compared by their numeric values (e.g. "file2" comes before "file10"), and letters are compared case-insensitively.
+// @param {string} a The first string.
+// @param {string} b The second string.
+// @return {number} Returns a negative number if a comes before b, a positive number if a comes after b, or 0 if they are equal.
+const naturalCompare = (a, b) => {
+    a = String(a);
+    b = String(b);
+
+    const chunksA = a.match(reChunk) || [];
+    const chunksB = b.match(reChunk) || [];
+    const length = Math.min(chunksA.length, chunksB.length);
+
+    for (let i = 0; i < length; ++i) {
+        const chunkA = chunksA[i];
+        const chunkB = chunksB[i];
+
+        if (reDigits.test(chunkA) && reDigits.test(chunkB)) {
+            const diff = Number(chunkA) - Number(chunkB);
+            if (diff !== 0) {
+                return diff;
+            }
+            // The number with fewer leading zeros comes first (e.g. "1" < "01")
+            if (chunkA.length !== chunkB.length) {
+                return chunkA.length - chunkB.length;
+            }
+            continue;
+        }
+
+        const textA = chunkA.toLowerCase();
+        const textB = chunkB.toLowerCase();
+        if (textA !== textB) {
+            return (textA < textB) ? -1 : 1;
+        }
+    }
+
+    if (chunksA.length !== chunksB.length) {
+        return chunksA.length - chunksB.length;
+    }
+
+    // Strings that differ only in case are ordered by their code units for a stable result
+    if (a === b) {
+        return 0;
+    }
+    return (a < b) ? -1 : 1;
+};
+
+// Checks whether a node is a folder, which has child nodes or loads them on demand.
+// Every node in the tree has an array of child nodes, so an empty folder cannot be told apart from a file by its child nodes.
+const defaultIsFolder = (node) => {
+    return (!!node.children && node.children.length > 0) || !!node.loadOnDemand;
+};
+
+// Creates a comparator that sorts folders before files, and then sorts nodes by name in natural order.
+// @param {object} [options] The options object.
+// @param {string} [options.path] The path to get the name of a node. Defaults to 'name'.
+// @param {function} [options.isFolder] A function (node) that returns true if the node is a folder. Defaults to a function that checks whether the node has child nodes or loadOnDemand set, so pass your own to sort empty folders (e.g. node => node.type === 'folder').
+// @return {function} Returns a comparator function (a, b) for sorting nodes.
+const createFoldersFirstComparator = (options) => {
+    const { path = 'name', isFolder = defaultIsFolder } = { ...options };
+
+    return (a, b) => {
+        const folderA = isFolder(a);
+        const folderB = isFolder(b);
+
+        if (folderA !== folderB) {
+            return folderA ? -1 : 1;
+        }
+
+        return naturalCompare(get(a, path, ''), get(b, path, ''));
+    };
+};
+
+// Sorts folders before files, and then sorts nodes by node.name in natural order.
+const foldersFirstComparator = createFoldersFirstComparator();
+
+export {
+    createFoldersFirstComparator,
+    foldersFirstComparator,
+    naturalCompare
+};
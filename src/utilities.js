@@ -45,3 +45,8 @@ export const get = (function() {
         return (object !== undefined) ? object : defaultValue;
     };
 }());
+
+// Checks if a node is disabled with either the state or the data field.
+export const isNodeDisabled = (node) => {
+    return !!node && (!!(node.state && node.state.disabled) || !!node.disabled);
+};
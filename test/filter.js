@@ -0,0 +1,66 @@
+import { test } from 'tap';
+import { createMatcher, matchNode } from '../src/filter';
+
+test('createMatcher', (t) => {
+    { // Substring
+        const match = createMatcher('an');
+        t.same(match('Banana'), { score: 2 / 6, ranges: [[1, 3], [3, 5]] });
+        t.equal(match('Apple'), null);
+        t.same(createMatcher('')('Apple'), { score: 0, ranges: [] });
+        t.equal(createMatcher('an', { caseSensitive: true })('ANANAS'), null);
+        t.equal(createMatcher('banana', { exactMatch: true })('Bananas'), null);
+        t.same(createMatcher('banana', { exactMatch: true })('Banana').ranges, [[0, 6]]);
+
+        // The ranges apply to the original text if the lower case form of a character has a different length
+        t.same(createMatcher('bul')('\u0130stanBul').ranges, [[5, 8]]);
+        t.same(createMatcher('\u0130s')('\u0130stanbul').ranges, [[0, 2]]);
+    }
+
+    { // Fuzzy
+        const match = createMatcher('itj', { mode: 'fuzzy' });
+        t.same(match('infinite-tree.js').ranges, [[5, 7], [14, 15]]);
+        t.equal(match('index.js'), null);
+        t.same(createMatcher('tree', { mode: 'fuzzy' })('infinite-tree.js').ranges, [[9, 13]]);
+
+        // Consecutive characters and word starts score higher
+        const matchFuzzy = createMatcher('ab', { mode: 'fuzzy' });
+        t.ok(matchFuzzy('abc').score > matchFuzzy('a-b').score);
+        t.ok(matchFuzzy('a-b').score > matchFuzzy('axb').score);
+        t.ok(matchFuzzy('axb').score > matchFuzzy('axxxb').score);
+    }
+
+    { // Regex
+        t.same(createMatcher('a+', { mode: 'regex' })('Banaana').ranges, [[1, 2], [3, 5], [6, 7]]);
+        t.same(createMatcher(/^b/)('Banana').ranges, [[0, 1]]);
+        t.equal(createMatcher(/^b/, { caseSensitive: true })('Banana'), null);
+
+        // Zero-length matches
+        t.same(createMatcher('x*', { mode: 'regex' })('abc'), { score: 0, ranges: [] });
+
+        // Invalid regular expression
+        t.equal(createMatcher('(', { mode: 'regex' })('('), null);
+    }
+
+    t.end();
+});
+
+test('matchNode', (t) => {
+    const node = {
+        name: 'Banana',
+        props: {
+            count: 10,
+            description: 'A yellow fruit'
+        }
+    };
+
+    t.same(matchNode(node, createMatcher('an'), ['name', 'props.description']), {
+        score: 2 / 6,
+        matches: { name: [[1, 3], [3, 5]] }
+    });
+    t.same(matchNode(node, createMatcher('1'), ['props.count']).matches, { 'props.count': [[0, 1]] });
+    t.same(Object.keys(matchNode(node, createMatcher('a'), ['name', 'props.description']).matches), ['name', 'props.description']);
+    t.equal(matchNode(node, createMatcher('apple'), ['name', 'props.description']), null);
+    t.equal(matchNode(node, createMatcher('object'), ['props']), null);
+
+    t.end();
+});
@@ -120,7 +120,7 @@ test('It should generate expected output for empty result', (t) => {
         noDataText: 'My no data text'
     };
     const tree = new InfiniteTree(el, options);
-    const innerHTML = `<div id="tree"><div class="infinite-tree infinite-tree-scroll"><div class="infinite-tree infinite-tree-content" tabindex="0"><div class="${options.noDataClass}">${options.noDataText}</div></div></div></div>`;
+    const innerHTML = `<div id="tree"><div class="infinite-tree infinite-tree-scroll"><div class="infinite-tree infinite-tree-content" role="tree" tabindex="0"><div class="${options.noDataClass}">${options.noDataText}</div></div></div></div>`;
 
     t.strictSame(window.document.body.innerHTML, innerHTML);
     t.strictSame(tree.nodes.length, 0);
@@ -203,6 +203,1168 @@ test('shouldLoadNodes', (t) => {
     t.ok(tree.openNode(tree.getNodeById('<root>')));
 });
 
+test('loadNodes returns a promise', (t) => {
+    const el = getTreeElement();
+    let loadCount = 0;
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node) => {
+            ++loadCount;
+            if (loadCount === 1) {
+                return Promise.reject(new Error('Network error'));
+            }
+            return Promise.resolve(getTreeData().children);
+        }
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.openNodeAsync(node)
+        .then(() => {
+            t.fail('the promise should be rejected');
+        }, (err) => {
+            t.equal(err.message, 'Network error');
+            t.equal(node.state.loading, false);
+            t.equal(node.getChildren().length, 0);
+            return tree.openNodeAsync(node);
+        })
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(node.state.loading, false);
+            t.equal(node.state.open, true);
+            t.equal(node.getChildren().length, 2);
+            t.equal(tree.nodes.length, 3);
+            t.end();
+        });
+});
+
+test('loadNodes calls next() and returns a promise', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next) => {
+            const nodes = getTreeData().children;
+            next(null, nodes);
+            return Promise.resolve(nodes);
+        }
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.openNodeAsync(node)
+        .then((result) => {
+            t.equal(result, true);
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        })
+        .then(() => {
+            t.equal(node.getChildren().length, 2, 'the child nodes are added only once');
+            t.equal(tree.nodes.length, 3);
+            t.end();
+        });
+});
+
+test('loadNodesError', (t) => {
+    const el = getTreeElement();
+    let loadCount = 0;
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next) => {
+            ++loadCount;
+            setTimeout(() => {
+                if (loadCount === 1) {
+                    next(new Error('Network error'));
+                } else {
+                    next(null, getTreeData().children);
+                }
+            }, 0);
+        },
+        retryIcon: '⟳',
+        retryText: 'Erneut versuchen'
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.on('loadNodesError', (errorNode, err) => {
+        t.equal(errorNode, node);
+        t.equal(err.message, 'Network error');
+        t.equal(node.state.loadError, err);
+        t.equal(node.state.loading, false);
+        t.equal(node.state.open, false);
+
+        const rowEl = tree.contentElement.querySelector('[data-id="<root>"]');
+        t.equal(rowEl.querySelector('.infinite-tree-error').getAttribute('title'), 'Network error');
+        t.equal(rowEl.querySelector('.infinite-tree-error').textContent, '⚠');
+        t.equal(rowEl.querySelector('.infinite-tree-retry').getAttribute('title'), 'Erneut versuchen');
+        t.equal(rowEl.querySelector('.infinite-tree-retry').textContent, '⟳');
+
+        setTimeout(() => {
+            t.equal(tree.retryLoadNodes(node), true);
+            t.equal(node.state.loadError, undefined, 'clear the error while loading');
+        }, 0);
+    });
+
+    tree.on('openNode', (openedNode) => {
+        t.equal(openedNode, node);
+        t.equal(loadCount, 2);
+        t.equal(node.state.loadError, undefined);
+        t.equal(node.getChildren().length, 2);
+        t.equal(tree.contentElement.querySelector('.infinite-tree-error'), null);
+        t.equal(tree.retryLoadNodes(node), false, 'nothing to retry');
+        t.end();
+    });
+
+    tree.openNode(node);
+});
+
+test('loadNodesRetry', (t) => {
+    const el = getTreeElement();
+    const errors = [];
+    let loadCount = 0;
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next) => {
+            ++loadCount;
+            next(new Error(`Error #${loadCount}`));
+        },
+        loadNodesRetry: {
+            retries: 2,
+            delay: 10
+        }
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.on('loadNodesError', (errorNode, err) => {
+        errors.push(err.message);
+    });
+
+    tree.openNode(node);
+
+    setTimeout(() => {
+        t.same(errors, ['Error #1', 'Error #2', 'Error #3'], 'retry twice with backoff');
+        t.equal(node.state.loadRetryCount, 2);
+        t.equal(node.state.loadError.message, 'Error #3');
+        t.end();
+    }, 200);
+});
+
+test('Abort loadNodes requests', (t) => {
+    const el = getTreeElement();
+    const signals = [];
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: {
+            id: '<root>',
+            children: [
+                { id: 'alpha', loadOnDemand: true },
+                { id: 'bravo', loadOnDemand: true },
+                { id: 'charlie', loadOnDemand: true },
+                { id: 'delta', loadOnDemand: true, children: [{ id: 'echo', loadOnDemand: true }] }
+            ]
+        },
+        loadNodes: (node, next, { signal }) => {
+            signals.push(signal);
+            setTimeout(() => {
+                // Late results of the aborted requests will be discarded
+                next(null, [{ id: `${node.id}.child` }]);
+            }, 50);
+        }
+    });
+
+    const loadNodes = (id) => {
+        const node = tree.getNodeById(id);
+        const promise = tree.openNodeAsync(node).catch((err) => err);
+        t.equal(node.state.loading, true);
+        return promise;
+    };
+
+    const alpha = loadNodes('alpha');
+    const bravo = loadNodes('bravo');
+    const charlie = loadNodes('charlie');
+    const echo = loadNodes('echo');
+
+    setTimeout(() => {
+        t.equal(signals.length, 4);
+        t.equal(tree.loadNodesRequests.length, 4);
+
+        tree.closeNode(tree.getNodeById('alpha'));
+        tree.removeNode(tree.getNodeById('bravo'));
+        tree.removeChildNodes(tree.getNodeById('delta'));
+
+        t.same(signals.map(signal => signal.aborted), [true, true, false, true]);
+        t.equal(signals[0].reason.name, 'AbortError');
+        t.equal(tree.getNodeById('alpha').state.loading, false);
+        t.equal(tree.loadNodesRequests.length, 1);
+
+        Promise.all([alpha, bravo, charlie, echo]).then((results) => {
+            t.equal(results[0].name, 'AbortError', 'reject the promise of the aborted request');
+            t.equal(results[1].name, 'AbortError');
+            t.equal(results[2], true);
+            t.equal(results[3].name, 'AbortError');
+            t.equal(tree.getNodeById('alpha.child'), null, 'discard the late results');
+            t.equal(tree.getNodeById('alpha').hasChildren(), false);
+            t.notEqual(tree.getNodeById('charlie.child'), null);
+            t.equal(tree.loadNodesRequests.length, 0);
+
+            tree.openNode(tree.getNodeById('alpha'));
+            setTimeout(() => {
+                tree.clear();
+                t.equal(signals[4].aborted, true, 'abort all requests on clear');
+                t.equal(tree.loadNodesRequests.length, 0);
+                t.end();
+            }, 10);
+        });
+    }, 10);
+});
+
+test('Keep loadNodes requests if closing is canceled or the node is moved', (t) => {
+    const el = getTreeElement();
+    const signals = [];
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: {
+            id: '<root>',
+            children: [
+                { id: 'alpha', loadOnDemand: true },
+                { id: 'bravo', loadOnDemand: true },
+                { id: 'charlie' }
+            ]
+        },
+        loadNodes: (node, next, { signal }) => {
+            signals.push(signal);
+            callbacks.push(() => next(null, [{ id: `${node.id}.child` }]));
+        }
+    });
+    const callbacks = [];
+
+    const cancel = (node, event) => {
+        event.preventDefault();
+    };
+    tree.on('willCloseNode', cancel);
+
+    const alpha = tree.openNodeAsync(tree.getNodeById('alpha'));
+    const bravo = tree.openNodeAsync(tree.getNodeById('bravo'));
+
+    setTimeout(() => {
+        t.equal(tree.loadNodesRequests.length, 2);
+
+        { // #1: Do not abort the request if closing the node is canceled
+            t.equal(tree.closeNode(tree.getNodeById('alpha')), false);
+            t.equal(signals[0].aborted, false);
+            t.equal(tree.getNodeById('alpha').state.loading, true);
+            tree.removeListener('willCloseNode', cancel);
+        }
+
+        { // #2: Do not abort the request of the node being moved
+            t.equal(tree.moveNodeTo(tree.getNodeById('bravo'), tree.getNodeById('charlie')), true);
+            t.equal(signals[1].aborted, false);
+            t.equal(tree.loadNodesRequests.length, 2);
+        }
+
+        callbacks.forEach(callback => callback());
+    }, 10);
+
+    Promise.all([alpha, bravo]).then((results) => {
+        t.same(results, [true, true]);
+        t.notEqual(tree.getNodeById('alpha.child'), null);
+        t.equal(tree.getNodeById('bravo.child').parent, tree.getNodeById('bravo'));
+        t.equal(tree.getNodeById('bravo').parent, tree.getNodeById('charlie'));
+        t.end();
+    });
+});
+
+test('loadNodesTimeout', (t) => {
+    const el = getTreeElement();
+    let signal = null;
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next, options) => {
+            signal = options.signal;
+            setTimeout(() => {
+                next(null, [{ id: 'alpha' }]);
+            }, 100);
+        },
+        loadNodesTimeout: 20
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.openNodeAsync(node).catch((err) => {
+        t.equal(err.name, 'TimeoutError');
+        t.equal(signal.aborted, true);
+        t.equal(node.state.loading, false);
+        t.equal(node.state.loadError, err);
+
+        setTimeout(() => {
+            t.equal(tree.getNodeById('alpha'), null, 'discard the late results');
+            t.end();
+        }, 150);
+    });
+});
+
+test('Paginated child nodes', (t) => {
+    const el = getTreeElement();
+    const cursors = [];
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next, { cursor }) => {
+            cursors.push(cursor);
+            const page = cursor || 0;
+            return Promise.resolve({
+                nodes: [{ id: `node#${page}.0` }, { id: `node#${page}.1` }],
+                cursor: (page < 2) ? page + 1 : null
+            });
+        },
+        loadMoreText: 'Mehr laden…',
+        loadingMoreText: 'Wird geladen…'
+    });
+
+    const node = tree.getNodeById('<root>');
+    const getLoadMoreRow = () => tree.contentElement.querySelector('[data-load-more="<root>"]');
+
+    tree.openNodeAsync(node).then(() => {
+        t.same(cursors, [undefined]);
+        t.equal(node.state.nextCursor, 1);
+        t.equal(tree.nodes.length, 3);
+        t.equal(tree.contentElement.children.length, 4, 'render a "Load more" row');
+        t.equal(tree.contentElement.lastChild, getLoadMoreRow());
+        t.equal(getLoadMoreRow().textContent, 'Mehr laden…');
+
+        tree.selectNode(tree.getNodeById('node#0.1'));
+
+        t.equal(tree.loadMoreNodes(node), true);
+        t.equal(node.state.loadingMore, true);
+        t.equal(getLoadMoreRow().getAttribute('aria-busy'), 'true');
+        t.equal(getLoadMoreRow().textContent, 'Wird geladen…');
+        t.equal(tree.loadMoreNodes(node), false, 'reentrancy not allowed');
+
+        setTimeout(() => {
+            t.same(cursors, [undefined, 1]);
+            t.equal(node.state.loadingMore, false);
+            t.equal(node.state.nextCursor, 2);
+            t.equal(tree.getSelectedNode().id, 'node#0.1', 'keep the selection');
+
+            // Click on the "Load more" row
+            getLoadMoreRow().click();
+
+            setTimeout(() => {
+                t.same(cursors, [undefined, 1, 2]);
+                t.equal(node.state.nextCursor, undefined);
+                t.same(node.children.map(child => child.id), ['node#0.0', 'node#0.1', 'node#1.0', 'node#1.1', 'node#2.0', 'node#2.1']);
+                t.equal(getLoadMoreRow(), null, 'no more child nodes');
+                t.equal(tree.loadMoreNodes(node), false);
+                t.end();
+            }, 100);
+        }, 100);
+    });
+});
+
+test('autoLoadMore', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoLoadMore: true,
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next, { cursor }) => {
+            const page = cursor || 0;
+            next(null, {
+                nodes: [{ id: `node#${page}` }],
+                cursor: (page < 2) ? page + 1 : null
+            });
+        }
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.openNodeAsync(node).then(() => {
+        setTimeout(() => {
+            t.same(node.children.map(child => child.id), ['node#0', 'node#1', 'node#2'], 'load all pages as the "Load more" row is rendered');
+            t.equal(tree.contentElement.querySelector('[data-load-more]'), null);
+            t.end();
+        }, 50);
+    });
+});
+
+test('Load more rows', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        keyboardNavigation: true
+    });
+
+    const keyDown = (key) => {
+        const event = new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        tree.contentElement.dispatchEvent(event);
+        return event;
+    };
+    const getRowIds = () => {
+        return Array.prototype.slice.call(tree.contentElement.querySelectorAll('.infinite-tree-item')).map((rowEl) => {
+            return rowEl.getAttribute('data-id') || `more:${rowEl.getAttribute('data-load-more')}`;
+        });
+    };
+
+    // Paginate the nodes without loading
+    tree.getNodeById('<root>').state.nextCursor = 1;
+    tree.getNodeById('bravo').state.nextCursor = 1;
+    tree.getNodeById('delta').state.nextCursor = 1;
+    tree.update();
+
+    { // #1: Keep track of the "Load more" rows
+        t.same(tree.loadMoreRows.map(loadMoreRow => [loadMoreRow.node.id, loadMoreRow.index]), [
+            ['delta', 6],
+            ['bravo', 11],
+            ['<root>', 11]
+        ]);
+        t.same(getRowIds(), [
+            '<root>',
+            'alpha',
+            'bravo',
+            'charlie',
+            'delta',
+            'echo',
+            'foxtrot',
+            'more:delta',
+            'golf',
+            'hotel',
+            'india',
+            'juliet',
+            'kilo',
+            'more:bravo',
+            'more:<root>'
+        ]);
+    }
+
+    { // #2: The "Load more" rows are counted when moving by a page
+        tree.selectNode(tree.getNodeById('alpha'));
+        keyDown('PageDown');
+        t.equal(tree.getSelectedNode().id, 'juliet', 'move by 10 rows including the "Load more" row');
+        keyDown('PageUp');
+        t.equal(tree.getSelectedNode().id, 'alpha');
+    }
+
+    { // #3: Remove the "Load more" rows of the nodes that are closed
+        tree.closeNode(tree.getNodeById('charlie'));
+        t.same(tree.loadMoreRows.map(loadMoreRow => [loadMoreRow.node.id, loadMoreRow.index]), [
+            ['bravo', 7],
+            ['<root>', 7]
+        ]);
+    }
+
+    t.end();
+});
+
+test('ARIA roles and states', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        selectionMode: 'multiple'
+    });
+
+    const getRowElement = (id) => {
+        return tree.contentElement.querySelector(`[data-id="${id}"]`);
+    };
+
+    t.equal(tree.contentElement.getAttribute('role'), 'tree');
+    t.equal(tree.contentElement.getAttribute('aria-multiselectable'), 'true');
+
+    { // #1: Tree items
+        const charlie = getRowElement('charlie');
+        t.equal(charlie.getAttribute('role'), 'treeitem');
+        t.equal(charlie.getAttribute('aria-level'), '3');
+        t.equal(charlie.getAttribute('aria-expanded'), 'true');
+        t.equal(charlie.getAttribute('aria-selected'), 'false');
+        t.equal(charlie.getAttribute('aria-setsize'), '3');
+        t.equal(charlie.getAttribute('aria-posinset'), '1');
+        t.equal(charlie.hasAttribute('aria-checked'), false);
+
+        const kilo = getRowElement('kilo');
+        t.equal(kilo.hasAttribute('aria-expanded'), false, 'a leaf node has no aria-expanded attribute');
+        t.equal(kilo.getAttribute('aria-posinset'), '3');
+    }
+
+    { // #2: Position in set after removing a node
+        tree.removeNode(tree.getNodeById('charlie'));
+        t.equal(getRowElement('kilo').getAttribute('aria-setsize'), '2');
+        t.equal(getRowElement('kilo').getAttribute('aria-posinset'), '2');
+    }
+
+    { // #3: Checked state
+        tree.checkNode(tree.getNodeById('juliet'), true);
+        tree.checkNode(tree.getNodeById('kilo'), false);
+        t.equal(getRowElement('juliet').getAttribute('aria-checked'), 'true');
+        t.equal(getRowElement('bravo').getAttribute('aria-checked'), 'mixed');
+        t.equal(getRowElement('kilo').getAttribute('aria-checked'), 'false');
+    }
+
+    { // #4: Position in set of the visible nodes when the tree is filtered
+        tree.filter((node) => !node.hidden, { includeDescendants: false });
+        t.equal(getRowElement('bravo').getAttribute('aria-posinset'), '2');
+
+        tree.updateNode(tree.getNodeById('alpha'), { hidden: true });
+        t.equal(getRowElement('bravo').getAttribute('aria-setsize'), '1', '"alpha" is filtered out');
+        t.equal(getRowElement('bravo').getAttribute('aria-posinset'), '1');
+
+        tree.updateNode(tree.getNodeById('kilo'), { hidden: true });
+        t.equal(getRowElement('hotel').getAttribute('aria-setsize'), '1', '"kilo" is filtered out');
+
+        tree.updateNode(tree.getNodeById('kilo'), { hidden: false });
+        t.equal(getRowElement('hotel').getAttribute('aria-setsize'), '2');
+        t.equal(getRowElement('kilo').getAttribute('aria-posinset'), '2');
+
+        tree.unfilter();
+        t.equal(getRowElement('bravo').getAttribute('aria-setsize'), '2');
+        t.equal(getRowElement('bravo').getAttribute('aria-posinset'), '2');
+    }
+
+    { // #5: Active descendant
+        t.equal(tree.contentElement.hasAttribute('aria-activedescendant'), false);
+        tree.selectNode(tree.getNodeById('kilo'));
+        t.equal(getRowElement('kilo').getAttribute('aria-selected'), 'true');
+        t.equal(tree.contentElement.getAttribute('aria-activedescendant'), getRowElement('kilo').id);
+        tree.selectNode(null);
+        t.equal(tree.contentElement.getAttribute('aria-activedescendant'), getRowElement('kilo').id, 'the focused node remains active');
+        tree.focusNode(null);
+        t.equal(tree.contentElement.hasAttribute('aria-activedescendant'), false);
+    }
+
+    { // #6: Unique row element ids for the nodes without an id
+        tree.appendChildNode({ name: 'x' });
+        tree.appendChildNode({ name: 'y' });
+        const [x, y] = tree.getChildNodes().slice(-2);
+        const rowIds = Array.prototype.map.call(tree.contentElement.querySelectorAll('[role="treeitem"]'), (row) => row.id);
+        t.equal(rowIds.filter((id, index) => rowIds.indexOf(id) !== index).length, 0, 'the row element ids are unique');
+
+        tree.selectNode(x);
+        t.equal(document.getElementById(tree.contentElement.getAttribute('aria-activedescendant')).textContent, 'x');
+        tree.selectNode(y);
+        t.equal(document.getElementById(tree.contentElement.getAttribute('aria-activedescendant')).textContent, 'y');
+    }
+
+    { // #7: Update aria-multiselectable after changing the selectionMode option
+        tree.options.selectionMode = 'single';
+        tree.update();
+        t.equal(tree.contentElement.hasAttribute('aria-multiselectable'), false);
+        tree.options.selectionMode = 'multiple';
+        tree.update();
+        t.equal(tree.contentElement.getAttribute('aria-multiselectable'), 'true');
+    }
+
+    t.end();
+});
+
+test('Keyboard navigation', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        keyboardNavigation: true
+    });
+
+    const keyDown = (key) => {
+        const event = new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        tree.contentElement.dispatchEvent(event);
+        return event;
+    };
+    const selectedId = () => {
+        const node = tree.getSelectedNode();
+        return node ? node.id : null;
+    };
+
+    { // #1: Move to the first node if nothing is selected
+        const event = keyDown('ArrowDown');
+        t.equal(event.defaultPrevented, true);
+        t.equal(selectedId(), '<root>');
+    }
+
+    { // #2: Up and Down
+        keyDown('ArrowDown');
+        t.equal(selectedId(), 'alpha');
+        keyDown('ArrowDown');
+        t.equal(selectedId(), 'bravo');
+        keyDown('ArrowUp');
+        t.equal(selectedId(), 'alpha');
+    }
+
+    { // #3: Home and End
+        keyDown('End');
+        t.equal(selectedId(), 'kilo');
+        keyDown('Home');
+        t.equal(selectedId(), '<root>');
+    }
+
+    { // #4: Left and Right
+        tree.selectNode(tree.getNodeById('delta'));
+        keyDown('ArrowLeft');
+        t.equal(tree.getNodeById('delta').state.open, false, 'close the node');
+        keyDown('ArrowLeft');
+        t.equal(selectedId(), 'charlie', 'move to the parent node');
+        tree.selectNode(tree.getNodeById('delta'));
+        keyDown('ArrowRight');
+        t.equal(tree.getNodeById('delta').state.open, true, 'open the node');
+        keyDown('ArrowRight');
+        t.equal(selectedId(), 'echo', 'move to the first child node');
+        keyDown('ArrowRight');
+        t.equal(selectedId(), 'echo', 'do nothing on a leaf node');
+    }
+
+    { // #5: Enter toggles a node
+        tree.selectNode(tree.getNodeById('hotel'));
+        keyDown('Enter');
+        t.equal(tree.getNodeById('hotel').state.open, false);
+        keyDown('Enter');
+        t.equal(tree.getNodeById('hotel').state.open, true);
+    }
+
+    { // #6: Expand all siblings
+        tree.closeNode(tree.getNodeById('charlie'));
+        tree.closeNode(tree.getNodeById('hotel'));
+        tree.selectNode(tree.getNodeById('kilo'));
+        let updateCount = 0;
+        tree.on('contentDidUpdate', function onUpdate() {
+            ++updateCount;
+        });
+        keyDown('*');
+        tree.removeAllListeners('contentDidUpdate');
+        t.equal(tree.getNodeById('charlie').state.open, true);
+        t.equal(tree.getNodeById('hotel').state.open, true);
+        t.equal(updateCount, 1, 'the siblings are opened in one render pass');
+        t.same(tree.nodes.map(node => node.id), [
+            '<root>', 'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo'
+        ]);
+    }
+
+    { // #7: Skip nodes that are filtered out or disabled
+        tree.filter('o', { filterPath: 'label', includeAncestors: true, includeDescendants: false });
+        tree.selectNode(tree.getNodeById('<root>'));
+        keyDown('ArrowDown');
+        t.equal(selectedId(), 'bravo', '"alpha" is filtered out');
+        tree.unfilter();
+
+        tree.getNodeById('charlie').state.disabled = true;
+        keyDown('ArrowDown');
+        t.equal(selectedId(), 'delta', '"charlie" is disabled');
+        delete tree.getNodeById('charlie').state.disabled;
+    }
+
+    { // #8: Skip keyboard navigation if the default action is prevented
+        const listener = (event) => event.preventDefault();
+        tree.on('keyDown', listener);
+        keyDown('ArrowDown');
+        t.equal(selectedId(), 'delta');
+        tree.removeListener('keyDown', listener);
+    }
+
+    { // #9: Move the focus without changing the selection in the multiple selection mode
+        tree.options.selectionMode = 'multiple';
+        keyDown('ArrowDown');
+        t.equal(tree.getFocusedNode().id, 'echo');
+        t.equal(selectedId(), 'delta');
+        keyDown(' ');
+        t.same(tree.getSelectedNodes().map(node => node.id), ['delta', 'echo']);
+    }
+
+    t.end();
+});
+
+test('Type-ahead search', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        typeAhead: {
+            path: 'label',
+            timeout: 50
+        }
+    });
+
+    const keyDown = (key) => {
+        const event = new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+        tree.contentElement.dispatchEvent(event);
+        return event;
+    };
+    const selectedId = () => {
+        const node = tree.getSelectedNode();
+        return node ? node.id : null;
+    };
+    const steps = [
+        () => { // #1: Jump to the first matching node
+            const event = keyDown('h');
+            t.equal(event.defaultPrevented, true);
+            t.equal(selectedId(), 'hotel');
+            t.equal(tree.getFocusedNode().id, 'hotel');
+            keyDown('o');
+            t.equal(selectedId(), 'hotel', 'keep the current node if it still matches');
+            keyDown('x');
+            t.equal(selectedId(), 'hotel', 'do nothing if nothing matches');
+        },
+        () => { // #2: Wrap around after clearing the typed characters
+            t.equal(tree.typeAheadText, '');
+            keyDown('a');
+            t.equal(selectedId(), 'alpha');
+        },
+        () => { // #3: Cycle through the nodes starting with the same character
+            tree.selectNode(tree.getNodeById('delta'));
+            tree.getNodeById('echo').label = 'Dog';
+            keyDown('d');
+            t.equal(selectedId(), 'echo');
+            keyDown('d');
+            t.equal(selectedId(), 'delta');
+        },
+        () => { // #4: Skip nodes that are filtered out
+            tree.filter('e', { filterPath: 'label', includeAncestors: true, includeDescendants: false });
+            tree.selectNode(tree.getNodeById('<root>'));
+            keyDown('a');
+            t.equal(selectedId(), '<root>', '"alpha" is filtered out');
+            tree.unfilter();
+        },
+        () => { // #5: Ignore the space key if no characters have been typed
+            const event = keyDown(' ');
+            t.equal(event.defaultPrevented, false);
+        },
+        () => { // #6: Leave the navigation keys to keyboard navigation
+            tree.options.keyboardNavigation = true;
+            tree.closeNode(tree.getNodeById('charlie'));
+            tree.closeNode(tree.getNodeById('hotel'));
+            tree.selectNode(tree.getNodeById('kilo'));
+            const event = keyDown('*');
+            t.equal(event.defaultPrevented, true);
+            t.equal(tree.typeAheadText, '');
+            t.equal(tree.getNodeById('charlie').state.open, true, 'expand all sibling nodes');
+            t.equal(tree.getNodeById('hotel').state.open, true);
+
+            keyDown('g');
+            t.equal(selectedId(), 'golf', 'type-ahead search still works');
+        }
+    ];
+
+    const next = () => {
+        const step = steps.shift();
+        if (!step) {
+            t.end();
+            return;
+        }
+        step();
+        setTimeout(next, 100);
+    };
+    next();
+});
+
+test('Cancelable events', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    { // #1: Cancel actions by calling event.preventDefault()
+        const cancel = (node, event) => {
+            t.equal(event.defaultPrevented, false);
+            event.preventDefault();
+        };
+        ['willOpenNode', 'willCloseNode', 'willSelectNode', 'willCheckNode', 'willMoveNode', 'willRemoveNode'].forEach((type) => {
+            tree.on(type, cancel);
+        });
+
+        t.equal(tree.closeNode(tree.getNodeById('bravo')), false);
+        t.equal(tree.getNodeById('bravo').state.open, true);
+        t.equal(tree.selectNode(tree.getNodeById('alpha')), false);
+        t.equal(tree.getSelectedNode(), null);
+        t.equal(tree.checkNode(tree.getNodeById('alpha')), false);
+        t.equal(!!tree.getNodeById('alpha').state.checked, false);
+        t.equal(tree.moveNodeTo(tree.getNodeById('alpha'), tree.getNodeById('kilo')), false);
+        t.equal(tree.getNodeById('alpha').parent.id, '<root>');
+        t.equal(tree.removeNode(tree.getNodeById('alpha')), false);
+        t.notEqual(tree.getNodeById('alpha'), null);
+        tree.closeNode(tree.getNodeById('hotel'));
+        t.equal(tree.getNodeById('hotel').state.open, true);
+        t.equal(tree.toggleNode(tree.getNodeById('hotel')), false);
+
+        ['willOpenNode', 'willCloseNode', 'willSelectNode', 'willCheckNode', 'willMoveNode', 'willRemoveNode'].forEach((type) => {
+            tree.removeListener(type, cancel);
+        });
+    }
+
+    { // #2: Moving a node does not emit the "willRemoveNode" event
+        let removeCount = 0;
+        const listener = () => {
+            ++removeCount;
+        };
+        tree.on('willRemoveNode', listener);
+        t.equal(tree.moveNodeTo(tree.getNodeById('alpha'), tree.getNodeById('kilo')), true);
+        t.equal(tree.getNodeById('alpha').parent.id, 'kilo');
+        t.equal(removeCount, 0);
+        tree.removeListener('willRemoveNode', listener);
+    }
+
+    { // #3: A listener added with once() is removed after the event is emitted
+        let cancelCount = 0;
+        tree.once('willSelectNode', (node, event) => {
+            ++cancelCount;
+            event.preventDefault();
+        });
+        t.equal(tree.selectNode(tree.getNodeById('golf')), false);
+        t.equal(tree.selectNode(tree.getNodeById('golf')), true);
+        t.equal(cancelCount, 1);
+        t.equal(tree.listenerCount('willSelectNode'), 0);
+        tree.selectNode(null);
+    }
+
+    { // #4: The "willSelectNode" event is emitted even if the node is not selectable
+        const selectedNodes = [];
+        const listener = (node) => {
+            selectedNodes.push(node);
+        };
+        tree.on('willSelectNode', listener);
+        tree.options.selectable = false;
+        t.equal(tree.selectNode(tree.getNodeById('golf')), false);
+        tree.options.selectable = true;
+        t.strictSame(selectedNodes, [tree.getNodeById('golf')]);
+        tree.removeListener('willSelectNode', listener);
+    }
+
+    { // #5: A deferred action is treated as canceled when acting on multiple nodes at once
+        const listener = () => Promise.resolve(true);
+        tree.on('willCheckNode', listener);
+        t.equal(tree.checkNodes([tree.getNodeById('golf')], true), false);
+        t.equal(!!tree.getNodeById('golf').state.checked, false);
+        tree.removeListener('willCheckNode', listener);
+    }
+
+    // #6: Cancel or proceed asynchronously by returning a promise
+    let willCloseCount = 0;
+    tree.on('willCloseNode', (node) => {
+        ++willCloseCount;
+        return Promise.resolve(node.id !== 'charlie');
+    });
+
+    t.equal(tree.closeNode(tree.getNodeById('charlie')), false, 'return false while the action is deferred');
+    t.equal(tree.getNodeById('charlie').state.open, true, 'wait until the promise is resolved');
+
+    let selectedNode = null;
+    tree.once('willSelectNode', () => Promise.resolve(true));
+    tree.once('selectNode', (node) => {
+        selectedNode = node;
+    });
+    t.equal(tree.selectNode(tree.getNodeById('golf')), false);
+
+    tree.closeNodeAsync(tree.getNodeById('charlie'))
+        .then((result) => {
+            t.equal(result, false);
+            t.equal(tree.getNodeById('charlie').state.open, true);
+            t.equal(selectedNode, tree.getNodeById('golf'), 'perform the deferred action after the promise is resolved');
+            return tree.closeNodeAsync(tree.getNodeById('delta'));
+        })
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(tree.getNodeById('delta').state.open, false);
+            t.equal(willCloseCount, 3, 'the event is emitted only once per action');
+            t.end();
+        });
+});
+
+test('Disabled nodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        droppable: true,
+        keyboardNavigation: true
+    });
+
+    const getRowElement = (id) => {
+        return tree.contentElement.querySelector(`[data-id="${id}"]`);
+    };
+
+    const charlie = tree.getNodeById('charlie');
+    const kilo = tree.getNodeById('kilo');
+    charlie.state.disabled = true;
+    tree.updateNode(kilo, { disabled: true }); // Disable the node with the data field
+
+    { // #1: Render disabled nodes
+        tree.updateNode(charlie);
+        t.equal(getRowElement('charlie').getAttribute('aria-disabled'), 'true');
+        t.ok(getRowElement('charlie').hasAttribute('disabled'));
+        t.equal(getRowElement('kilo').getAttribute('aria-disabled'), 'true');
+        t.equal(getRowElement('alpha').hasAttribute('aria-disabled'), false);
+        t.equal(getRowElement('alpha').hasAttribute('disabled'), false);
+    }
+
+    { // #2: Disabled nodes cannot be selected unless forced
+        t.equal(tree.selectNode(charlie), false);
+        t.equal(tree.selectNode(kilo), false);
+        t.equal(tree.getSelectedNode(), null);
+        t.equal(tree.selectNode(charlie, { force: true }), true);
+        t.equal(tree.getSelectedNode(), charlie);
+        tree.selectNode(null);
+    }
+
+    { // #3: Disabled nodes cannot be checked unless forced
+        t.equal(tree.checkNode(charlie, true), false);
+        t.equal(tree.checkNodes([charlie, kilo], true), false);
+        t.equal(!!charlie.state.checked, false);
+        t.equal(tree.checkNode(charlie, true, { force: true }), true);
+        t.equal(charlie.state.checked, true);
+        t.equal(tree.getNodeById('echo').state.checked, true);
+    }
+
+    { // #4: Disabled nodes cannot be toggled unless forced
+        t.equal(tree.closeNode(charlie), false);
+        t.equal(tree.toggleNode(charlie), false);
+        t.equal(charlie.state.open, true);
+        t.equal(tree.closeNode(charlie, { force: true }), true);
+        t.equal(tree.openNode(charlie), false);
+        t.equal(tree.toggleNode(charlie, { force: true }), true);
+        t.equal(charlie.state.open, true);
+    }
+
+    { // #5: Skip disabled nodes in keyboard navigation
+        tree.focusNode(tree.getNodeById('hotel'));
+        tree.selectNode(tree.getNodeById('hotel'));
+        tree.closeNode(tree.getNodeById('hotel'));
+        const event = new window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true, cancelable: true });
+        tree.contentElement.dispatchEvent(event);
+        t.equal(tree.getFocusedNode().id, 'hotel', 'the disabled node "kilo" is skipped');
+    }
+
+    { // #6: Disabled nodes cannot be dragged or used as drop targets
+        tree.contentListener.dragstart({ target: getRowElement('charlie'), preventDefault: () => {} });
+        t.equal(tree.draggableTarget, null);
+
+        tree.contentListener.dragstart({ target: getRowElement('alpha'), preventDefault: () => {} });
+        t.equal(tree.draggableTarget, getRowElement('alpha'));
+
+        tree.contentListener.dragenter({ target: getRowElement('kilo'), currentTarget: tree.contentElement });
+        t.equal(tree.droppableTarget, null);
+
+        tree.contentListener.dragenter({ target: getRowElement('golf'), currentTarget: tree.contentElement });
+        t.equal(tree.droppableTarget, getRowElement('golf'));
+    }
+
+    { // #7: Skip disabled nodes when moving the selection from a closed node
+        tree.selectNode(tree.getNodeById('echo'));
+        t.equal(tree.closeNode(charlie, { force: true }), true);
+        t.equal(tree.getSelectedNode().id, 'bravo', 'the disabled node "charlie" is skipped');
+        tree.openNode(charlie, { force: true });
+    }
+
+    { // #8: Skip disabled nodes when moving the selection from a removed node
+        tree.selectNode(tree.getNodeById('hotel'));
+        t.equal(tree.removeNode(tree.getNodeById('hotel')), true);
+        t.equal(tree.getSelectedNode().id, 'bravo', 'the disabled nodes "kilo" and "charlie" are skipped');
+    }
+
+    tree.destroy();
+
+    t.end();
+});
+
+test('Table layout with columns', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        layout: 'table',
+        columns: [
+            { key: 'name', title: 'Name', width: 200, renderer: (node) => node.label },
+            { key: 'id', title: 'ID', width: 100, minWidth: 50, align: 'right' },
+            { title: 'No key' }
+        ]
+    });
+
+    const columnsChanges = [];
+    tree.on('columnsChange', (columns) => {
+        columnsChanges.push(columns);
+    });
+
+    const getHeaderTitles = () => {
+        return Array.prototype.map.call(tree.headerElement.querySelectorAll('th'), (th) => th.textContent);
+    };
+    const getColumnWidths = () => {
+        return Array.prototype.map.call(tree.colgroupElement.querySelectorAll('col'), (col) => col.style.width);
+    };
+    const getCellKeys = (id) => {
+        const row = tree.contentElement.querySelector(`[data-id="${id}"]`);
+        return Array.prototype.map.call(row.querySelectorAll('td'), (td) => td.getAttribute('data-column-key'));
+    };
+
+    { // #1: Render the header in the same table as the rows
+        const tableElement = tree.contentElement.parentElement;
+        t.equal(tree.headerElement.tagName.toLowerCase(), 'thead');
+        t.equal(tree.headerElement.parentElement, tableElement);
+        t.equal(tree.headerElement.nextSibling, tree.contentElement);
+        t.ok(tableElement.classList.contains('infinite-tree-table-columns'));
+        t.same(getHeaderTitles(), ['Name', 'ID'], 'columns without a key are ignored');
+        t.same(getColumnWidths(), ['200px', '100px']);
+        t.equal(tree.headerElement.querySelector('[data-column-key="id"]').style.textAlign, 'right');
+    }
+
+    { // #2: Render a cell per column
+        const row = tree.contentElement.querySelector('[data-id="charlie"]');
+        t.equal(row.tagName.toLowerCase(), 'tr');
+        t.same(getCellKeys('charlie'), ['name', 'id']);
+
+        const nameCell = row.querySelector('[data-column-key="name"]');
+        t.ok(nameCell.querySelector('.infinite-tree-node .infinite-tree-toggler'), 'the name cell contains the tree node');
+        t.equal(nameCell.querySelector('.infinite-tree-title').textContent, 'Charlie');
+
+        const idCell = row.querySelector('[data-column-key="id"]');
+        t.equal(idCell.textContent, 'charlie');
+        t.equal(idCell.style.textAlign, 'right');
+    }
+
+    { // #3: tree.getColumns returns copies
+        const columns = tree.getColumns();
+        t.same(columns.map(column => column.key), ['name', 'id']);
+        columns[0].width = 1;
+        t.equal(tree.getColumns()[0].width, 200);
+    }
+
+    { // #4: tree.moveColumn
+        t.equal(tree.moveColumn('name', 0), false, 'the column is not moved');
+        t.equal(tree.moveColumn('size', 0), false, 'the column is not found');
+        t.equal(columnsChanges.length, 0);
+
+        t.equal(tree.moveColumn('name', 10), true);
+        t.same(getHeaderTitles(), ['ID', 'Name']);
+        t.same(getColumnWidths(), ['100px', '200px']);
+        t.same(getCellKeys('charlie'), ['id', 'name']);
+        t.equal(columnsChanges.length, 1);
+        t.same(columnsChanges[0].map(column => column.key), ['id', 'name']);
+    }
+
+    { // #5: tree.resizeColumn
+        t.equal(tree.resizeColumn('id', 10), true);
+        t.equal(tree.getColumns()[0].width, 50, 'the width is not less than the minWidth');
+        t.same(getColumnWidths(), ['50px', '200px']);
+        t.equal(columnsChanges.length, 2);
+        t.equal(columnsChanges[1][0].width, 50);
+
+        t.equal(tree.resizeColumn('id', 50), false, 'the width is not changed');
+        t.equal(tree.resizeColumn('size', 50), false, 'the column is not found');
+        t.equal(columnsChanges.length, 2);
+    }
+
+    { // #6: Resize a column by dragging the resizer
+        const resizer = tree.headerElement.querySelector('[data-column-key="name"] .infinite-tree-column-resizer');
+        const mouseDown = new window.MouseEvent('mousedown', { clientX: 300, bubbles: true, cancelable: true });
+        resizer.dispatchEvent(mouseDown);
+        t.equal(mouseDown.defaultPrevented, true);
+
+        document.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 340, bubbles: true }));
+        t.same(getColumnWidths(), ['50px', '240px']);
+        t.equal(columnsChanges.length, 2, 'no event is emitted while resizing');
+
+        document.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 320, bubbles: true }));
+        document.dispatchEvent(new window.MouseEvent('mouseup', { clientX: 320, bubbles: true }));
+        t.equal(tree.getColumns()[1].width, 220);
+        t.equal(columnsChanges.length, 3);
+        t.equal(columnsChanges[2][1].width, 220);
+
+        document.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 400, bubbles: true }));
+        t.equal(tree.getColumns()[1].width, 220, 'stop resizing after releasing the mouse button');
+    }
+
+    { // #7: Reorder columns by dragging a header cell
+        const nameCell = tree.headerElement.querySelector('[data-column-key="name"]');
+        const idCell = tree.headerElement.querySelector('[data-column-key="id"]');
+        nameCell.dispatchEvent(new window.Event('dragstart', { bubbles: true, cancelable: true }));
+        t.equal(tree.draggingColumnKey, 'name');
+
+        const dragOver = new window.Event('dragover', { bubbles: true, cancelable: true });
+        idCell.dispatchEvent(dragOver);
+        t.equal(dragOver.defaultPrevented, true);
+
+        idCell.dispatchEvent(new window.Event('drop', { bubbles: true, cancelable: true }));
+        t.equal(tree.draggingColumnKey, null);
+        t.same(getHeaderTitles(), ['Name', 'ID']);
+        t.same(getCellKeys('charlie'), ['name', 'id']);
+        t.equal(columnsChanges.length, 4);
+    }
+
+    { // #8: tree.setColumns
+        tree.setColumns(columnsChanges[1]);
+        t.same(getHeaderTitles(), ['ID', 'Name']);
+        t.same(getColumnWidths(), ['50px', '200px']);
+        t.same(getCellKeys('alpha'), ['id', 'name']);
+        t.equal(columnsChanges.length, 4, 'no event is emitted by setColumns');
+
+        tree.setColumns(null);
+        t.equal(tree.headerElement, null);
+        t.equal(tree.contentElement.parentElement.querySelector('thead'), null);
+        t.equal(tree.contentElement.querySelector('[data-id="alpha"]').tagName.toLowerCase(), 'div');
+    }
+
+    { // #9: The treeColumn option and the default title
+        const getTreeNodeKeys = (id) => {
+            const row = tree.contentElement.querySelector(`[data-id="${id}"]`);
+            return Array.prototype.filter.call(row.querySelectorAll('td'), (td) => !!td.querySelector('.infinite-tree-node'))
+                .map((td) => td.getAttribute('data-column-key'));
+        };
+
+        tree.options.treeColumn = 'id';
+        tree.setColumns([{ key: 'name', title: undefined, minWidth: undefined }, { key: 'id', title: 'ID' }]);
+        t.same(getHeaderTitles(), ['', 'ID']);
+        t.equal(tree.getColumns()[0].minWidth, 30);
+        t.same(getTreeNodeKeys('charlie'), ['id']);
+
+        tree.options.treeColumn = 'size';
+        tree.setColumns(tree.getColumns());
+        t.same(getTreeNodeKeys('charlie'), ['name'], 'defaults to the first column');
+    }
+
+    { // #10: Keep the node below the sticky header when scrolling
+        const nodeEl = tree.contentElement.querySelector('[data-id="charlie"]');
+        Object.defineProperty(tree.headerElement, 'offsetHeight', { value: 30 });
+        Object.defineProperty(tree.scrollElement, 'clientHeight', { value: 100 });
+        Object.defineProperty(nodeEl, 'offsetTop', { value: 130 });
+        Object.defineProperty(nodeEl, 'offsetHeight', { value: 20 });
+
+        let scrollTop = 0;
+        const scrollTopValues = [];
+        tree.scrollTop = (value) => {
+            if (value !== undefined) {
+                scrollTopValues.push(value);
+            }
+            return scrollTop;
+        };
+
+        tree.scrollToNode(tree.getNodeById('charlie'));
+        tree.scrollToNode(tree.getNodeById('charlie'), { align: 'center' });
+        tree.scrollToNode(tree.getNodeById('charlie'), { align: 'auto' });
+        scrollTop = 120;
+        tree.scrollToNode(tree.getNodeById('charlie'), { align: 'auto' });
+        t.same(scrollTopValues, [100, 75, 50, 100]);
+
+        delete tree.scrollTop;
+    }
+
+    tree.destroy();
+
+    t.end();
+});
+
 test('tree.destroy', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -244,35 +1406,419 @@ test('tree.addChildNodes', (t) => {
         t.equal(tree.getNodeById('new-node#1').getNextSibling(), null);
     }
 
-    { // #2: Add a child node to the root node at the specified index
-        tree.addChildNodes({ id: 'new-node#2' }, 1);
-        t.equal(tree.nodes.length, nodesLength + 2);
-        t.notEqual(tree.getNodeById('new-node#2'), null);
-        t.strictSame(tree.getNodeById('new-node#2').getPreviousSibling(), tree.getNodeById('<root>'));
-        t.strictSame(tree.getNodeById('new-node#2').getNextSibling(), tree.getNodeById('new-node#1'));
-    }
+    { // #2: Add a child node to the root node at the specified index
+        tree.addChildNodes({ id: 'new-node#2' }, 1);
+        t.equal(tree.nodes.length, nodesLength + 2);
+        t.notEqual(tree.getNodeById('new-node#2'), null);
+        t.strictSame(tree.getNodeById('new-node#2').getPreviousSibling(), tree.getNodeById('<root>'));
+        t.strictSame(tree.getNodeById('new-node#2').getNextSibling(), tree.getNodeById('new-node#1'));
+    }
+
+    t.end();
+});
+
+test('tree.addFilter, tree.removeFilter and tree.refilter', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const getLabel = (node) => (node ? node.label : null);
+    const getFilteredLabels = () => tree.nodes.filter(node => node.state.filtered).map(getLabel);
+    let leafCalls = 0;
+    const isLeaf = (node) => {
+        ++leafCalls;
+        return !node.hasChildren();
+    };
+
+    t.equal(tree.removeFilter('leaf'), false);
+
+    { // #1: Combine filter layers with the "and" operator
+        tree.addFilter('label', 'o', { filterPath: 'label', includeDescendants: false });
+        t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Kilo']);
+
+        const result = tree.addFilter('leaf', isLeaf, { includeDescendants: false });
+        t.same(result.matchedNodes.map(getLabel), ['Echo', 'Foxtrot', 'Golf', 'Kilo']);
+        t.equal(result.filteredCount, 8);
+        t.equal(leafCalls, 12);
+
+        // Hotel matches the label layer only, and has no kept descendants
+        t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Kilo']);
+        t.equal(tree.getNodeById('hotel').state.filtered, false);
+    }
+
+    { // #2: Combine filter layers with the "or" operator
+        const result = tree.addFilter('juliet', node => node.label === 'Juliet', { operator: 'or', includeDescendants: false });
+        t.same(result.matchedNodes.map(getLabel), ['Echo', 'Foxtrot', 'Golf', 'Juliet', 'Kilo']);
+        t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'India', 'Juliet', 'Kilo']);
+
+        // The other layers should not be tested again
+        t.equal(leafCalls, 12);
+    }
+
+    { // #3: Remove a filter layer
+        t.equal(tree.removeFilter('juliet'), true);
+        t.equal(tree.removeFilter('juliet'), false);
+        t.same(tree.filterLayers.map(layer => layer.name), ['label', 'leaf']);
+        t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Kilo']);
+        t.same(tree.getFilterMatches().map(getLabel), ['Echo', 'Foxtrot', 'Golf', 'Kilo']);
+        t.equal(tree.getNodeById('juliet').state.filterLayers.juliet, undefined);
+        t.equal(leafCalls, 12);
+    }
+
+    { // #4: Replace a filter layer with per-layer includeAncestors and includeDescendants options
+        tree.addFilter('label', 'Hotel', { filterPath: 'label' });
+        t.same(tree.filterLayers.map(layer => layer.name), ['label', 'leaf']);
+        t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Hotel', 'India', 'Juliet']);
+
+        tree.addFilter('label', 'Hotel', { filterPath: 'label', includeAncestors: false });
+        t.same(getFilteredLabels(), ['Hotel', 'India', 'Juliet']);
+        t.equal(leafCalls, 12);
+    }
+
+    { // #5: filter() replaces the default layer only
+        tree.filter('a', { filterPath: 'label' });
+        tree.filter('i', { filterPath: 'label' });
+        t.same(tree.filterLayers.map(layer => layer.name), ['label', 'leaf', 'default']);
+        t.same(getFilteredLabels(), ['Hotel', 'India', 'Juliet']);
+        t.equal(leafCalls, 12);
+    }
+
+    { // #6: Unfilter clears all filter layers
+        tree.unfilter();
+        t.same(tree.filterLayers, []);
+        t.same(getFilteredLabels(), []);
+        t.equal(tree.getNodeById('juliet').state.filterLayers, undefined);
+        t.equal(tree.getNodeById('juliet').state.filtered, undefined);
+    }
+
+    { // #7: Removing the last filter layer turns off the filter
+        tree.addFilter('leaf', isLeaf);
+        t.equal(tree.filtered, true);
+        t.equal(tree.removeFilter('leaf'), true);
+        t.equal(tree.filtered, false);
+        t.same(getFilteredLabels(), []);
+        t.equal(tree.refilter(), null);
+    }
+
+    { // #8: Test the nodes again after the external state read by a predicate has changed
+        const hiddenIds = [];
+        const renderedIds = [];
+        const rowRenderer = tree.options.rowRenderer;
+        tree.options.rowRenderer = (node, treeOptions) => {
+            renderedIds.push(node.id);
+            return rowRenderer(node, treeOptions);
+        };
+
+        tree.addFilter('label', 'o', { filterPath: 'label', includeDescendants: false });
+        tree.addFilter('hidden', node => hiddenIds.indexOf(node.id) < 0, { includeDescendants: false });
+        hiddenIds.push('kilo');
+
+        renderedIds.length = 0;
+        tree.refilter('unknown');
+        t.equal(tree.getNodeById('kilo').state.filtered, true, 'the cached result is used');
+        t.same(renderedIds, []);
+
+        // Only update the rows whose visibility or matches have changed, along with their sibling nodes
+        const result = tree.refilter('hidden');
+        t.same(result.matchedNodes.map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel']);
+        t.equal(tree.getNodeById('kilo').state.filtered, false);
+        t.equal(tree.rows[tree.nodes.indexOf(tree.getNodeById('kilo'))], '');
+        t.same(renderedIds.sort(), ['charlie', 'hotel', 'kilo']);
+
+        renderedIds.length = 0;
+        tree.refilter();
+        t.same(renderedIds, []);
+
+        tree.options.rowRenderer = rowRenderer;
+    }
+
+    t.end();
+});
+
+test('tree.appendChildNode', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    const nodesLength = tree.nodes.length;
+
+    { // #1: Append a child node to the root node
+        tree.appendChildNode({ id: 'new-node#1' });
+        t.equal(tree.nodes.length, nodesLength + 1);
+        t.notEqual(tree.getNodeById('new-node#1'), null);
+        t.strictSame(tree.getNodeById('new-node#1').getPreviousSibling(), tree.getNodeById('<root>'));
+        t.equal(tree.getNodeById('new-node#1').getNextSibling(), null);
+    }
+
+    t.end();
+});
+
+test('tree.checkNode', (t) => {
+    const checkedIds = (tree, options) => tree.getCheckedNodes(options).map(node => node.id);
+
+    { // #1: cascade
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData()
+        });
+
+        let changedIds = [];
+        tree.on('checkChange', ({ nodes }) => {
+            changedIds = nodes.map(node => node.id);
+        });
+
+        t.equal(tree.checkNode(tree.getNodeById('charlie'), true), true);
+        t.same(checkedIds(tree), ['charlie', 'delta', 'echo', 'foxtrot', 'golf']);
+        t.same(changedIds.sort(), ['<root>', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf']);
+        t.equal(tree.getNodeById('bravo').state.indeterminate, true);
+        t.equal(tree.getNodeById('<root>').state.indeterminate, true);
+
+        // Toggle the checked state
+        t.equal(tree.checkNode(tree.getNodeById('charlie')), true);
+        t.same(checkedIds(tree), []);
+        t.equal(tree.getNodeById('bravo').state.checked, false);
+    }
+
+    { // #2: independent
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            checkStrategy: 'independent',
+            data: getTreeData()
+        });
+
+        tree.checkNode(tree.getNodeById('charlie'), true);
+        tree.checkNode(tree.getNodeById('echo'), true);
+        t.same(checkedIds(tree), ['charlie', 'echo']);
+        t.equal(!!tree.getNodeById('bravo').state.indeterminate, false);
+        t.equal(!!tree.getNodeById('delta').state.checked, false);
+    }
+
+    { // #3: down-only
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            checkStrategy: 'down-only',
+            data: getTreeData()
+        });
+
+        tree.checkNode(tree.getNodeById('delta'), true);
+        t.same(checkedIds(tree), ['delta', 'echo', 'foxtrot']);
+        t.equal(!!tree.getNodeById('charlie').state.checked, false);
+    }
+
+    { // #4: up-only
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            checkStrategy: 'up-only',
+            data: getTreeData()
+        });
+
+        tree.checkNode(tree.getNodeById('india'), true);
+        t.same(checkedIds(tree), ['hotel', 'india']);
+        t.equal(!!tree.getNodeById('juliet').state.checked, false);
+        t.equal(tree.getNodeById('bravo').state.indeterminate, true);
+    }
+
+    { // #5: Exclude the nodes that cannot be checked
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData(),
+            shouldCheckNode: (node) => node.id !== 'golf'
+        });
+
+        tree.getNodeById('foxtrot').state.disabled = true;
+
+        t.equal(tree.checkNode(tree.getNodeById('foxtrot'), true), false, 'cannot check a disabled node');
+        t.equal(tree.checkNode(tree.getNodeById('golf'), true), false, 'cannot check an uncheckable node');
+
+        tree.checkNode(tree.getNodeById('echo'), true);
+        t.same(checkedIds(tree), ['charlie', 'delta', 'echo'], 'the disabled and uncheckable nodes are excluded');
+        t.equal(tree.getNodeById('delta').state.indeterminate, false);
+        t.equal(tree.getNodeById('bravo').state.indeterminate, true);
+
+        tree.checkNode(tree.getNodeById('<root>'), true);
+        t.equal(!!tree.getNodeById('foxtrot').state.checked, false);
+        t.equal(!!tree.getNodeById('golf').state.checked, false);
+    }
+
+    { // #6: Propagate the state through the nodes that cannot be checked
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData(),
+            shouldCheckNode: (node) => node.id !== 'charlie'
+        });
+
+        tree.checkNodes([tree.getNodeById('delta'), tree.getNodeById('golf')], true);
+        t.same(checkedIds(tree), ['delta', 'echo', 'foxtrot', 'golf']);
+        t.equal(!!tree.getNodeById('charlie').state.checked, false, 'the state of the uncheckable node remains unchanged');
+        t.equal(tree.getNodeById('bravo').state.indeterminate, true, 'update the grandparent node');
+
+        tree.checkNode(tree.getNodeById('bravo'), false);
+        t.same(checkedIds(tree), []);
+
+        tree.checkNode(tree.getNodeById('<root>'), true);
+        t.same(checkedIds(tree), ['<root>', 'alpha', 'bravo', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo']);
+        t.equal(tree.getNodeById('bravo').state.indeterminate, false);
+    }
+
+    t.end();
+});
+
+test('tree.checkNodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    let updateCount = 0;
+    tree.on('contentDidUpdate', () => {
+        ++updateCount;
+    });
+
+    const checkedNodes = [];
+    tree.on('checkNode', (node) => {
+        checkedNodes.push(node.id);
+    });
+
+    let checkChangeCount = 0;
+    tree.on('checkChange', () => {
+        ++checkChangeCount;
+    });
+
+    tree.on('willCheckNode', (node, event) => {
+        if (node.id === 'alpha') {
+            event.preventDefault();
+        }
+    });
+
+    t.equal(tree.checkNodes([tree.getNodeById('alpha'), tree.getNodeById('charlie'), tree.getNodeById('hotel')], true), true);
+    t.equal(updateCount, 1, 'render once');
+    t.equal(checkChangeCount, 1);
+    t.same(checkedNodes, ['charlie', 'hotel']);
+    t.same(tree.getCheckedNodes({ mode: 'topmost' }).map(node => node.id), ['charlie', 'hotel']);
+    t.equal(tree.getNodeById('bravo').state.indeterminate, true);
+    t.ok(tree.rows[tree.nodes.indexOf(tree.getNodeById('juliet'))].indexOf('aria-checked="true"') >= 0);
+
+    t.equal(tree.checkNodes(tree.getNodeById('kilo'), true), true);
+    t.same(tree.getCheckedNodes({ mode: 'topmost' }).map(node => node.id), ['bravo']);
+    t.same(tree.getCheckedNodes({ mode: 'leaves' }).map(node => node.id), ['echo', 'foxtrot', 'golf', 'juliet', 'kilo']);
+
+    t.equal(tree.checkNodes([], true), false);
+
+    // Check the nodes without an id, but skip the removed nodes
+    const root = tree.getNodeById('<root>');
+    tree.appendChildNode({ name: 'Removed' }, root);
+    const removedNode = root.getLastChild();
+    tree.removeNode(removedNode);
+    tree.appendChildNode({ name: 'No id' }, root);
+    const anonymousNode = root.getLastChild();
+    t.equal(tree.checkNodes([anonymousNode, removedNode], true), true);
+    t.equal(anonymousNode.state.checked, true);
+    t.equal(!!removedNode.state.checked, false, 'the removed node is skipped');
 
     t.end();
 });
 
-test('tree.appendChildNode', (t) => {
-    const el = getTreeElement();
-    const tree = new InfiniteTree(el, {
-        autoOpen: true,
-        data: getTreeData()
-    });
+test('Check state of added and removed nodes', (t) => {
+    { // #1: Recalculate the indeterminate state after insertion and removal
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData()
+        });
 
-    const nodesLength = tree.nodes.length;
+        const delta = tree.getNodeById('delta');
+        const charlie = tree.getNodeById('charlie');
+        tree.checkNode(tree.getNodeById('echo'), true);
+        t.equal(delta.state.indeterminate, true);
+
+        tree.removeNode(tree.getNodeById('foxtrot'));
+        t.equal(delta.state.checked, true);
+        t.equal(delta.state.indeterminate, false, 'all remaining child nodes are checked');
+        t.equal(charlie.state.indeterminate, true);
+        t.ok(tree.rows[tree.nodes.indexOf(delta)].indexOf('aria-checked="true"') >= 0);
+
+        tree.removeNode(tree.getNodeById('golf'));
+        t.equal(charlie.state.indeterminate, false);
+        t.equal(charlie.state.checked, true);
+
+        tree.appendChildNode({ id: 'lima' }, delta);
+        t.equal(tree.getNodeById('lima').state.checked, true, 'inherit the checked state');
+
+        tree.checkNode(tree.getNodeById('lima'), false);
+        t.equal(delta.state.indeterminate, true);
+        tree.removeChildNodes(delta);
+        t.equal(delta.state.checked, false);
+        t.equal(delta.state.indeterminate, false);
+        t.equal(charlie.state.checked, false);
+    }
 
-    { // #1: Append a child node to the root node
-        tree.appendChildNode({ id: 'new-node#1' });
-        t.equal(tree.nodes.length, nodesLength + 1);
-        t.notEqual(tree.getNodeById('new-node#1'), null);
-        t.strictSame(tree.getNodeById('new-node#1').getPreviousSibling(), tree.getNodeById('<root>'));
-        t.equal(tree.getNodeById('new-node#1').getNextSibling(), null);
+    { // #2: Recalculate the state of both the old and new parent nodes after moving a node
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData()
+        });
+
+        const delta = tree.getNodeById('delta');
+        const india = tree.getNodeById('india');
+        tree.checkNode(tree.getNodeById('echo'), true);
+
+        tree.moveNodeTo(tree.getNodeById('foxtrot'), india);
+        t.equal(delta.state.indeterminate, false);
+        t.equal(delta.state.checked, true);
+        t.equal(!!india.state.checked, false, 'the moved node is unchecked');
+
+        tree.moveNodeTo(tree.getNodeById('echo'), india);
+        t.equal(india.state.checked, true);
+        t.equal(india.state.indeterminate, true);
+        t.equal(tree.getNodeById('hotel').state.indeterminate, true);
     }
 
-    t.end();
+    { // #3: Leave the state untouched if no nodes have been checked
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            autoOpen: true,
+            data: getTreeData()
+        });
+
+        tree.removeNode(tree.getNodeById('echo'));
+        t.equal(tree.getNodeById('delta').state.checked, undefined);
+    }
+
+    { // #4: Lazy-loaded child nodes inherit the checked state of the parent node
+        const el = getTreeElement();
+        const tree = new InfiniteTree(el, {
+            data: [
+                { id: 'folder', loadOnDemand: true },
+                { id: 'file' }
+            ],
+            loadNodes: (node, next) => {
+                next(null, [{ id: 'a' }, { id: 'b', loadOnDemand: true }]);
+            }
+        });
+
+        const folder = tree.getNodeById('folder');
+        tree.checkNode(folder, true);
+        tree.openNodeAsync(folder).then(() => {
+            t.equal(folder.state.checked, true);
+            t.equal(folder.state.indeterminate, false, 'the parent node remains fully checked');
+            t.equal(tree.getNodeById('a').state.checked, true);
+            t.equal(tree.getNodeById('b').state.checked, true);
+            t.ok(tree.rows[tree.nodes.indexOf(tree.getNodeById('b'))].indexOf('aria-checked="true"') >= 0);
+
+            t.end();
+        });
+    }
 });
 
 test('tree.clear', (t) => {
@@ -324,6 +1870,243 @@ test('tree.closeNode', (t) => {
     t.end();
 });
 
+test('tree.closeNodeAsync', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    const promise = tree.closeNodeAsync(tree.getNodeById('bravo'));
+    t.equal(tree.getNodeById('bravo').state.open, true, 'the node is closed asynchronously');
+
+    promise
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(tree.getNodeById('bravo').state.open, false);
+            t.equal(tree.nodes.length, 3);
+            return tree.closeNodeAsync(tree.getNodeById('bravo'));
+        })
+        .then((result) => {
+            t.equal(result, false, 'the node is already closed');
+            t.end();
+        });
+});
+
+test('tree.closeNodeAsync with deferred actions', (t) => {
+    const tree = new InfiniteTree(getTreeElement(), {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const otherTree = new InfiniteTree(getTreeElement(), {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    // Approve the action, and make the row renderer throw when the action is performed
+    const rowRenderer = tree.options.rowRenderer;
+    const deferWithFailingRenderer = () => Promise.resolve(true).then(() => {
+        tree.options.rowRenderer = () => {
+            throw new Error('Failed to close the node');
+        };
+        return true;
+    });
+
+    // Defer an action of another tree while the action of this tree is canceled
+    otherTree.once('willSelectNode', () => Promise.resolve(true));
+    tree.once('willCloseNode', (node, event) => {
+        otherTree.selectNode(otherTree.getNodeById('golf'));
+        event.preventDefault();
+    });
+
+    tree.closeNodeAsync(tree.getNodeById('charlie'))
+        .then((result) => {
+            t.equal(result, false, 'the deferred action of another tree is ignored');
+            t.equal(tree.getNodeById('charlie').state.open, true);
+
+            // A deferred action that throws rejects the promise
+            tree.once('willCloseNode', deferWithFailingRenderer);
+            return tree.closeNodeAsync(tree.getNodeById('delta'));
+        })
+        .then(() => {
+            t.fail('the promise should be rejected');
+        }, (err) => {
+            t.equal(err.message, 'Failed to close the node');
+
+            // A deferred action that throws reports the error if no one is waiting for the result
+            const consoleError = console.error;
+            const messages = [];
+            console.error = (message) => {
+                messages.push(message);
+            };
+            tree.options.rowRenderer = rowRenderer;
+            tree.once('willCloseNode', deferWithFailingRenderer);
+            t.equal(tree.closeNode(tree.getNodeById('hotel')), false);
+
+            return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+                console.error = consoleError;
+                tree.options.rowRenderer = rowRenderer;
+                t.equal(messages.length, 1);
+                t.match(messages[0], /Failed to close the node/);
+                t.end();
+            });
+        });
+});
+
+test('tree.collapseAll', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    const closedNodes = [];
+    tree.on('closeNode', (node) => {
+        closedNodes.push(node.id);
+    });
+
+    tree.selectNode(tree.getNodeById('echo'));
+
+    let updateCount = 0;
+    tree.on('contentDidUpdate', () => {
+        ++updateCount;
+    });
+
+    t.equal(tree.collapseAll(), true);
+    t.equal(tree.nodes.length, 1);
+    t.equal(tree.state.openNodes.length, 0);
+    t.equal(tree.getNodeById('delta').state.open, false);
+    t.equal(tree.getSelectedNode().id, '<root>', 'select the top-level ancestor');
+    t.equal(tree.getFocusedNode().id, '<root>');
+    t.same(closedNodes.sort(), ['<root>', 'bravo', 'charlie', 'delta', 'hotel', 'india']);
+
+    updateCount = 0;
+    tree.collapseAll({ silent: true });
+    t.equal(updateCount, 1, 'render once');
+
+    { // Keep the nodes open if closing is canceled
+        tree.expandAll();
+        tree.selectNode(tree.getNodeById('echo'));
+        const cancel = (node, event) => {
+            if (node.id === '<root>' || node.id === 'bravo') {
+                event.preventDefault();
+            }
+        };
+        tree.on('willCloseNode', cancel);
+        tree.collapseAll();
+        tree.removeListener('willCloseNode', cancel);
+
+        t.same(tree.state.openNodes.map(node => node.id).sort(), ['<root>', 'bravo']);
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo', 'charlie', 'hotel', 'kilo']);
+        t.equal(tree.getSelectedNode().id, 'charlie', 'select the closest visible ancestor');
+        t.equal(tree.getFocusedNode().id, 'charlie');
+    }
+
+    t.end();
+});
+
+test('tree.collapseAll with lazy loading', (t) => {
+    const el = getTreeElement();
+    const signals = [];
+    const tree = new InfiniteTree(el, {
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next, { signal }) => {
+            signals.push(signal);
+        }
+    });
+
+    tree.openNodeAsync(tree.getNodeById('<root>')).catch((err) => {
+        t.equal(err.name, 'AbortError');
+        t.end();
+    });
+
+    setTimeout(() => {
+        t.equal(signals.length, 1);
+        tree.collapseAll();
+        t.equal(signals[0].aborted, true, 'abort loading the top-level node');
+    }, 10);
+});
+
+test('tree.expandAll', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: getTreeData()
+    });
+
+    let updateCount = 0;
+    tree.on('contentDidUpdate', () => {
+        ++updateCount;
+    });
+
+    { // #1: Open nodes within the depth limit
+        t.equal(tree.expandAll({ maxDepth: 2 }), true);
+        t.equal(updateCount, 1, 'render once');
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo', 'charlie', 'hotel', 'kilo']);
+        t.equal(tree.getNodeById('charlie').state.open, false);
+    }
+
+    { // #2: Open nodes at the top level
+        tree.collapseAll();
+        updateCount = 0;
+        tree.expandAll({ maxDepth: 1 });
+        t.equal(updateCount, 1, 'render once');
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo']);
+        t.equal(tree.getNodeById('bravo').state.open, false);
+    }
+
+    { // #3: Open all nodes
+        updateCount = 0;
+        tree.expandAll();
+        t.equal(updateCount, 1, 'render once');
+        t.equal(tree.nodes.length, 12);
+        t.equal(tree.state.openNodes.length, 6);
+        t.equal(tree.rows.length, 12);
+        t.equal(tree.contentElement.children.length, 12);
+    }
+
+    t.end();
+});
+
+test('tree.expandAll with lazy loading', (t) => {
+    const el = getTreeElement();
+    let activeCount = 0;
+    let maxActiveCount = 0;
+    const progress = [];
+    const tree = new InfiniteTree(el, {
+        data: [
+            { id: 'a', loadOnDemand: true },
+            { id: 'b', loadOnDemand: true },
+            { id: 'c', loadOnDemand: true }
+        ],
+        loadNodes: (node, next) => {
+            ++activeCount;
+            maxActiveCount = Math.max(maxActiveCount, activeCount);
+            setTimeout(() => {
+                --activeCount;
+                // Load two levels of load-on-demand nodes
+                next(null, (node.state.depth === 0) ? [{ id: `${node.id}.0`, loadOnDemand: true }] : [{ id: `${node.id}.0` }]);
+            }, 10);
+        }
+    });
+
+    tree.on('expandProgress', ({ node, loaded, total }) => {
+        progress.push([node.id, loaded, total]);
+        if (loaded === total) {
+            t.equal(maxActiveCount, 2, 'limit the number of concurrent requests');
+            t.same(progress.map(p => p[0]).sort(), ['a', 'a.0', 'b', 'b.0', 'c', 'c.0']);
+            t.equal(progress[progress.length - 1][2], 6);
+            t.same(tree.nodes.map(node => node.id), ['a', 'a.0', 'a.0.0', 'b', 'b.0', 'b.0.0', 'c', 'c.0', 'c.0.0']);
+            t.end();
+        }
+    });
+
+    tree.expandAll({ concurrency: 2 });
+});
+
 test('tree.filter', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -538,7 +2321,478 @@ test('tree.filter', (t) => {
         t.strictSame(found, testCase.wanted);
     }
 
-    t.end();
+    t.end();
+});
+
+test('tree.filter with the mode option', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: [
+            {
+                id: 'src',
+                name: 'src',
+                children: [
+                    { id: 'infinite-tree.js', name: 'infinite-tree.js', description: 'The tree' },
+                    { id: 'index.js', name: 'index.js' },
+                    { id: 'filter.js', name: 'filter.js', description: 'Fuzzy filter' }
+                ]
+            },
+            { id: 'README.md', name: 'README.md', description: '<Readme>' }
+        ]
+    });
+    const getFilteredIds = () => tree.nodes.filter(node => node.state.filtered).map(node => node.id);
+
+    { // #1: Substring
+        tree.filter('in', { includeAncestors: false });
+        t.same(getFilteredIds(), ['infinite-tree.js', 'index.js']);
+        t.same(tree.getNodeById('infinite-tree.js').state.filterMatches, { name: [[0, 2], [3, 5]] });
+        t.same(tree.getNodeById('index.js').state.filterMatches, { name: [[0, 2]] });
+        t.equal(tree.getNodeById('filter.js').state.filterMatches, undefined);
+        t.ok(tree.getNodeById('index.js').state.filterScore > tree.getNodeById('infinite-tree.js').state.filterScore);
+    }
+
+    { // #2: Fuzzy
+        tree.filter('ftj', { mode: 'fuzzy', includeAncestors: false });
+        t.same(getFilteredIds(), ['infinite-tree.js', 'filter.js']);
+        t.same(tree.getNodeById('filter.js').state.filterMatches, { name: [[0, 1], [3, 4], [7, 8]] });
+        t.same(tree.getNodeById('infinite-tree.js').state.filterMatches, { name: [[2, 3], [6, 7], [14, 15]] });
+        t.ok(tree.getNodeById('filter.js').state.filterScore > tree.getNodeById('infinite-tree.js').state.filterScore);
+    }
+
+    { // #3: Regex
+        tree.filter('^in.*\\.js$', { mode: 'regex', includeAncestors: false });
+        t.same(getFilteredIds(), ['infinite-tree.js', 'index.js']);
+        t.same(tree.getNodeById('index.js').state.filterMatches, { name: [[0, 8]] });
+
+        tree.filter(/^README/, { caseSensitive: true });
+        t.same(getFilteredIds(), ['README.md']);
+
+        // An invalid regular expression matches nothing
+        tree.filter('[', { mode: 'regex' });
+        t.same(getFilteredIds(), []);
+    }
+
+    { // #4: Multiple filter paths
+        tree.filter('fuzzy', { filterPaths: ['name', 'description'], includeAncestors: false });
+        t.same(getFilteredIds(), ['filter.js']);
+        t.same(tree.getNodeById('filter.js').state.filterMatches, { description: [[0, 5]] });
+
+        tree.filter('tree', { filterPaths: ['name', 'description'], includeAncestors: false });
+        t.same(getFilteredIds(), ['infinite-tree.js']);
+        t.same(tree.getNodeById('infinite-tree.js').state.filterMatches, { name: [[9, 13]], description: [[4, 8]] });
+    }
+
+    { // #5: Highlight the matched characters
+        tree.filter('read', { filterPaths: ['name', 'description'] });
+        const rowElement = tree.contentElement.querySelector('[data-id="README.md"]');
+        t.equal(rowElement.querySelector('.infinite-tree-title').innerHTML, '<mark>READ</mark>ME.md');
+
+        // Highlight the matches of another filter path
+        const node = tree.getNodeById('filter.js');
+        tree.filter('fuzzy', { filterPaths: ['name', 'description'] });
+        t.equal(InfiniteTree.highlightText(node.description, node.state.filterMatches.description), '<mark>Fuzzy</mark> filter');
+        t.equal(InfiniteTree.highlightText('<a>', [[1, 2]]), '&lt;<mark>a</mark>&gt;');
+
+        tree.unfilter();
+        t.equal(tree.getNodeById('README.md').state.filterMatches, undefined);
+        t.equal(tree.getNodeById('README.md').state.filterScore, undefined);
+        t.equal(tree.contentElement.querySelector('[data-id="README.md"] .infinite-tree-title').innerHTML, 'README.md');
+    }
+
+    { // #6: Sort sibling nodes by score
+        tree.filter('js', { sortByScore: true });
+        t.same(tree.nodes.map(node => node.id), ['src', 'index.js', 'filter.js', 'infinite-tree.js', 'README.md']);
+        t.same(tree.getNodeById('src').children.map(node => node.id), ['index.js', 'filter.js', 'infinite-tree.js']);
+        t.equal(tree.getNodeById('filter.js').state.path, '.0.1');
+
+        // The original order will be restored by the next filter
+        tree.filter('js');
+        t.same(tree.nodes.map(node => node.id), ['src', 'infinite-tree.js', 'index.js', 'filter.js', 'README.md']);
+
+        tree.filter('md', { sortByScore: true });
+        t.same(tree.nodes.map(node => node.id), ['README.md', 'src', 'infinite-tree.js', 'index.js', 'filter.js']);
+
+        // The original order will be restored by unfilter
+        tree.unfilter();
+        t.same(tree.nodes.map(node => node.id), ['src', 'infinite-tree.js', 'index.js', 'filter.js', 'README.md']);
+        t.same(tree.rows.length, 5);
+    }
+
+    t.end();
+});
+
+test('tree.filter with the autoOpen option', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: getTreeData()
+    });
+    const filterOptions = { autoOpen: true, filterPath: 'label' };
+
+    { // #1: Open the ancestors of matched nodes
+        tree.openNode(tree.getNodeById('<root>'));
+        tree.selectNode(tree.getNodeById('alpha'));
+        tree.focusNode(tree.getNodeById('alpha'));
+        tree.filter('echo', filterOptions);
+        t.same(tree.getOpenNodes().map(node => node.id).sort(), ['<root>', 'bravo', 'charlie', 'delta']);
+        t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.id), ['<root>', 'bravo', 'charlie', 'delta', 'echo']);
+        t.equal(tree.rows.filter(row => !!row).length, 5);
+    }
+
+    { // #2: Open more ancestors while filtering
+        tree.selectNode(tree.getNodeById('echo'));
+        tree.filter('juliet', filterOptions);
+        t.same(tree.getOpenNodes().map(node => node.id).sort(), ['<root>', 'bravo', 'charlie', 'delta', 'hotel', 'india']);
+        t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.id), ['<root>', 'bravo', 'hotel', 'india', 'juliet']);
+    }
+
+    { // #3: Restore the open nodes and the selection before filtering
+        tree.unfilter();
+        t.same(tree.getOpenNodes().map(node => node.id), ['<root>']);
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo']);
+        t.equal(tree.getNodeById('bravo').state.open, false);
+        t.equal(tree.getSelectedNode(), tree.getNodeById('alpha'));
+        t.equal(tree.getNodeById('echo').state.selected, false);
+        t.equal(tree.getFocusedNode(), tree.getNodeById('alpha'));
+        t.equal(tree.rows.length, 3);
+    }
+
+    { // #4: Do not open nodes without the autoOpen option
+        tree.filter('echo', { filterPath: 'label' });
+        t.same(tree.getOpenNodes().map(node => node.id), ['<root>']);
+        t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.id), ['<root>', 'bravo']);
+        tree.unfilter();
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo']);
+    }
+
+    { // #5: Removed nodes will not be restored
+        tree.openNode(tree.getNodeById('bravo'));
+        tree.openNode(tree.getNodeById('hotel'));
+        tree.selectNode(tree.getNodeById('india'));
+        tree.filter('golf', filterOptions);
+        tree.removeNode(tree.getNodeById('hotel'));
+        tree.unfilter();
+        t.same(tree.getOpenNodes().map(node => node.id).sort(), ['<root>', 'bravo']);
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo', 'charlie', 'kilo']);
+        t.equal(tree.getSelectedNode(), null);
+    }
+
+    { // #6: Restore the nodes without an id
+        tree.loadData([
+            { name: 'a', children: [{ name: 'a1' }, { name: 'a2' }] },
+            { name: 'b', children: [{ name: 'b1' }] }
+        ]);
+        const a = tree.getChildNodes()[0];
+        tree.openNode(a);
+        tree.selectNode(a.children[1]);
+        tree.focusNode(a.children[1]);
+        tree.filter('b1', { autoOpen: true });
+        t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.name), ['b', 'b1']);
+        tree.unfilter();
+        t.same(tree.nodes.map(node => node.name), ['a', 'a1', 'a2', 'b']);
+        t.equal(tree.getSelectedNode(), a.children[1]);
+        t.equal(tree.getFocusedNode(), a.children[1]);
+    }
+
+    t.end();
+});
+
+test('tree.filter result and match navigation', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const getLabel = (node) => (node ? node.label : null);
+
+    t.same(tree.getFilterMatches(), []);
+    t.equal(tree.nextMatch(), null);
+
+    { // #1: Filter result
+        const result = tree.filter('o', { filterPath: 'label', includeDescendants: false });
+        t.same(result.matchedNodes.map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Kilo']);
+        t.equal(result.matchedCount, 7);
+        t.equal(result.filteredCount, 9);
+        t.equal(result.totalCount, 12);
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Kilo']);
+        t.equal(tree.getNodeById('bravo').state.filterMatched, true);
+        t.equal(tree.getNodeById('charlie').state.filterMatched, undefined);
+        t.equal(tree.getNodeById('charlie').state.filtered, true);
+
+        const functionResult = tree.filter(node => node.label === 'Juliet');
+        t.same(functionResult.matchedNodes.map(getLabel), ['Juliet']);
+        t.equal(functionResult.matchedCount, 1);
+        t.equal(functionResult.filteredCount, 5);
+    }
+
+    { // #2: Next and previous matches
+        tree.filter('e', { filterPath: 'label', includeDescendants: false });
+        t.same(tree.getFilterMatches().map(getLabel), ['Charlie', 'Delta', 'Echo', 'Hotel', 'Juliet']);
+
+        t.equal(getLabel(tree.nextMatch()), 'Charlie');
+        t.equal(tree.getSelectedNode(), tree.getNodeById('charlie'));
+        t.equal(getLabel(tree.nextMatch()), 'Delta');
+        t.equal(getLabel(tree.nextMatch()), 'Echo');
+        t.equal(getLabel(tree.nextMatch()), 'Hotel');
+        t.equal(getLabel(tree.nextMatch()), 'Juliet');
+        t.equal(getLabel(tree.nextMatch()), 'Charlie'); // Wrap around
+        t.equal(getLabel(tree.previousMatch()), 'Juliet'); // Wrap around
+        t.equal(getLabel(tree.previousMatch()), 'Hotel');
+        t.equal(tree.getSelectedNode(), tree.getNodeById('hotel'));
+
+        // Move to the nearest match from a node that does not match
+        tree.selectNode(tree.getNodeById('bravo'));
+        t.equal(getLabel(tree.previousMatch()), 'Juliet');
+        tree.selectNode(tree.getNodeById('golf'));
+        t.equal(getLabel(tree.nextMatch()), 'Hotel');
+        tree.selectNode(tree.getNodeById('golf'));
+        t.equal(getLabel(tree.previousMatch()), 'Echo');
+    }
+
+    { // #3: Reveal matches inside closed nodes
+        tree.closeNode(tree.getNodeById('charlie'));
+        tree.selectNode(tree.getNodeById('charlie'));
+        t.equal(getLabel(tree.nextMatch()), 'Delta');
+        t.equal(tree.getNodeById('charlie').state.open, true);
+        t.ok(tree.nodes.indexOf(tree.getNodeById('delta')) >= 0);
+    }
+
+    { // #4: Unfilter
+        tree.unfilter();
+        t.same(tree.getFilterMatches(), []);
+        t.equal(tree.getNodeById('delta').state.filterMatched, undefined);
+        t.equal(tree.nextMatch(), null);
+    }
+
+    t.end();
+});
+
+test('tree.filter with added, moved, and updated nodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const getLabel = (node) => (node ? node.label : null);
+    const isRendered = (id) => {
+        const nodeIndex = tree.nodes.indexOf(tree.getNodeById(id));
+        return (nodeIndex >= 0) && (tree.rows[nodeIndex] !== '');
+    };
+    let calls = 0;
+    const hasLetterO = (node) => {
+        ++calls;
+        return node.label.toLowerCase().indexOf('o') >= 0;
+    };
+
+    tree.filter(hasLetterO, { includeDescendants: false });
+    t.equal(calls, 12);
+    t.equal(tree.getNodeById('india').state.filtered, false);
+
+    { // #1: Add nodes
+        tree.addChildNodes([{
+            id: 'xray',
+            label: 'Xray',
+            children: [
+                { id: 'yankee', label: 'Yankee' },
+                { id: 'romeo', label: 'Romeo' }
+            ]
+        }], tree.getNodeById('india'));
+        t.equal(calls, 15);
+        t.equal(tree.getNodeById('xray').state.filtered, true);
+        t.equal(tree.getNodeById('yankee').state.filtered, false);
+        t.equal(tree.getNodeById('romeo').state.filterMatched, true);
+        t.equal(tree.getNodeById('india').state.filtered, true);
+        t.ok(isRendered('india'));
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Romeo', 'Kilo']);
+
+        tree.appendChildNode({ id: 'lima', label: 'Lima' }, tree.getNodeById('bravo'));
+        t.equal(calls, 16);
+        t.equal(tree.getNodeById('lima').state.filtered, false);
+        t.notOk(isRendered('lima'));
+    }
+
+    { // #2: Remove nodes
+        tree.removeNode(tree.getNodeById('romeo'));
+        t.equal(tree.getNodeById('xray').state.filtered, false);
+        t.equal(tree.getNodeById('india').state.filtered, false);
+        t.notOk(isRendered('india'));
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Kilo']);
+        t.equal(calls, 16);
+    }
+
+    { // #3: Update nodes
+        tree.updateNode(tree.getNodeById('kilo'), { label: 'Kappa' });
+        t.equal(calls, 17);
+        t.equal(tree.getNodeById('kilo').state.filtered, false);
+        t.notOk(isRendered('kilo'));
+
+        tree.updateNode(tree.getNodeById('juliet'), { label: 'Joliet' });
+        t.equal(calls, 18);
+        t.equal(tree.getNodeById('juliet').state.filterMatched, true);
+        t.equal(tree.getNodeById('india').state.filtered, true);
+        t.ok(isRendered('india'));
+        t.ok(isRendered('juliet'));
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Joliet']);
+    }
+
+    { // #4: Move nodes without testing them again
+        tree.moveNodeTo(tree.getNodeById('juliet'), tree.getNodeById('alpha'));
+        t.equal(calls, 18);
+        t.equal(tree.getNodeById('alpha').state.filtered, true);
+        t.ok(isRendered('alpha'));
+        t.equal(tree.getNodeById('india').state.filtered, false);
+        t.notOk(isRendered('india'));
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Joliet', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel']);
+    }
+
+    { // #5: Unfilter
+        tree.unfilter();
+        tree.appendChildNode({ id: 'mike', label: 'Mike' }, tree.getNodeById('bravo'));
+        t.equal(calls, 18);
+        t.equal(tree.getNodeById('mike').state.filtered, undefined);
+        t.ok(isRendered('mike'));
+    }
+
+    t.end();
+});
+
+test('tree.filter with nodes loaded on demand', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: {
+            id: '<root>',
+            label: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next) => {
+            next(null, [
+                { id: 'alpha', label: 'Alpha' },
+                { id: 'bravo', label: 'Bravo' }
+            ]);
+        }
+    });
+
+    tree.filter('o', { filterPath: 'label', includeDescendants: false });
+    tree.openNodeAsync(tree.getNodeById('<root>')).then(() => {
+        t.equal(tree.getNodeById('alpha').state.filtered, false);
+        t.equal(tree.getNodeById('bravo').state.filtered, true);
+        t.same(tree.getFilterMatches().map(node => node.label), ['<root>', 'Bravo']);
+        t.end();
+    });
+});
+
+test('tree.filterAsync', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const progress = [];
+    const getFilteredLabels = () => tree.nodes.filter(node => node.state.filtered).map(node => node.label);
+
+    tree.on('filterProgress', ({ processed, total }) => {
+        progress.push([processed, total]);
+    });
+
+    const unhandledRejections = [];
+    const onUnhandledRejection = (reason) => {
+        unhandledRejections.push(reason);
+    };
+    process.on('unhandledRejection', onUnhandledRejection);
+
+    // The first run will be canceled by the second one without causing an unhandled rejection
+    const canceledFilter = tree.filterAsync('alpha', { filterPath: 'label' });
+    tree.filterAsync('charlie', { filterPath: 'label', includeDescendants: false })
+        .then((result) => {
+            t.same(result.matchedNodes.map(node => node.label), ['Charlie']);
+            t.equal(result.filteredCount, 3);
+            t.equal(tree.filtered, true);
+            t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Charlie']);
+            t.equal(tree.rows.filter(row => !!row).length, 3);
+            t.same(progress[progress.length - 1], [12, 12]);
+
+            // Process nodes in chunks
+            progress.length = 0;
+            return tree.filterAsync(node => node.label === 'Juliet', { timeSlice: 0 });
+        })
+        .then(() => {
+            t.same(getFilteredLabels(), ['<root>', 'Bravo', 'Hotel', 'India', 'Juliet']);
+            t.ok(progress.length > 1);
+            t.ok(progress.every(([processed, total]) => processed <= total), 'the total is the number of nodes found so far');
+            t.same(progress[progress.length - 1], [12, 12]);
+
+            // Cancel the run by unfilter
+            const promise = tree.filterAsync('echo', { filterPath: 'label' });
+            tree.unfilter();
+            return promise;
+        })
+        .then((result) => {
+            t.equal(result, null, 'resolve the canceled run to null');
+            t.equal(tree.filtered, false);
+            t.same(getFilteredLabels(), []);
+            t.equal(tree.rows.filter(row => !!row).length, 12);
+
+            return canceledFilter;
+        })
+        .then((result) => {
+            t.equal(result, null);
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+            t.same(unhandledRejections, []);
+            t.end();
+        });
+});
+
+test('tree.filterAsync canceled while processing nodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        data: [{ id: 'p1', name: 'p1', children: [{ id: 'm1', name: 'match' }] }]
+            .concat(Array.from({ length: 149 }, (value, index) => ({ id: `n${index}`, name: `n${index}` })))
+    });
+    const p1 = tree.getNodeById('p1');
+    let canceledProgress = null;
+    let partialStates = null;
+
+    tree.on('filterProgress', ({ processed, total }) => {
+        if (!canceledProgress && processed > 0) {
+            // The processed nodes keep their filter state until all nodes have been processed
+            partialStates = tree.getChildNodes()
+                .concat(tree.getNodeById('m1'))
+                .filter(node => node.state.filtered !== undefined || node.state.filterMatched !== undefined || node.state.filterLayers !== undefined)
+                .map(node => node.id);
+
+            // Cancel the run by a new filter
+            canceledProgress = [processed, total];
+            tree.filter('p1');
+        }
+    });
+
+    tree.filterAsync('match', { autoOpen: true, timeSlice: 0 })
+        .then((result) => {
+            t.equal(result, null);
+            t.ok(canceledProgress[0] < canceledProgress[1], 'cancel the run before all nodes have been processed');
+            t.same(partialStates, [], 'do not apply a partial filter to the nodes');
+            t.equal(tree.getNodeById('m1').state.filterMatched, undefined, 'do not apply the filter state of the canceled run');
+
+            // Do not open the ancestors of the nodes matched by the canceled run
+            t.equal(p1.state.open, false);
+            t.same(tree.getOpenNodes(), []);
+            t.same(tree.nodes.map(node => node.id), tree.getChildNodes().map(node => node.id));
+            t.equal(tree.rows.length, tree.nodes.length);
+            t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.id), ['p1']);
+
+            // Open the ancestors of the matched nodes after all nodes have been processed
+            return tree.filterAsync('match', { autoOpen: true, timeSlice: 0 });
+        })
+        .then((result) => {
+            t.same(result.matchedNodes.map(node => node.id), ['m1']);
+            t.equal(p1.state.open, true);
+            t.equal(p1.state.total, 1);
+            t.same(tree.nodes.slice(0, 2).map(node => node.id), ['p1', 'm1']);
+            t.equal(tree.rows.length, tree.nodes.length);
+            t.end();
+        });
 });
 
 test('tree.flattenChildNodes', (t) => {
@@ -598,6 +2852,95 @@ test('tree.flattenNode', (t) => {
     t.end();
 });
 
+test('tree.focusNode', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    const focusedId = () => {
+        const node = tree.getFocusedNode();
+        return node ? node.id : null;
+    };
+    const isRowFocused = (id) => {
+        const rowEl = tree.contentElement.querySelector(`[data-id="${id}"]`);
+        return !!rowEl && rowEl.classList.contains('infinite-tree-focused');
+    };
+
+    { // #1: Focus a node without changing the selection
+        let focusedNode = null;
+        tree.on('focusNode', (node) => {
+            focusedNode = node;
+        });
+        let updateCount = 0;
+        const onContentDidUpdate = () => {
+            updateCount++;
+        };
+        tree.on('contentDidUpdate', onContentDidUpdate);
+        tree.selectNode(tree.getNodeById('alpha'));
+        tree.removeListener('contentDidUpdate', onContentDidUpdate);
+        t.equal(focusedId(), 'alpha', 'selecting a node moves the focus');
+        t.equal(focusedNode, tree.getNodeById('alpha'));
+        t.equal(updateCount, 1, 'selecting a node renders the tree once');
+        t.equal(tree.focusNode(tree.getNodeById('bravo')), true);
+        t.equal(focusedId(), 'bravo');
+        t.equal(focusedNode, tree.getNodeById('bravo'));
+        t.equal(tree.getSelectedNode().id, 'alpha');
+        t.equal(tree.getNodeById('alpha').state.focused, false);
+        t.equal(isRowFocused('alpha'), false);
+        t.equal(isRowFocused('bravo'), true);
+        t.equal(tree.contentElement.getAttribute('aria-activedescendant'), tree.contentElement.querySelector('[data-id="bravo"]').id);
+    }
+
+    { // #2: The root node and invisible nodes cannot be focused
+        t.equal(tree.focusNode(tree.state.rootNode), false);
+        tree.closeNode(tree.getNodeById('hotel'));
+        t.equal(tree.focusNode(tree.getNodeById('juliet')), false);
+        t.equal(focusedId(), 'bravo');
+    }
+
+    { // #3: Keep the focus after re-rendering the tree
+        tree.update();
+        t.equal(isRowFocused('bravo'), true);
+    }
+
+    { // #4: Move the focus to the node being closed
+        tree.focusNode(tree.getNodeById('echo'));
+        const scrollToNode = tree.scrollToNode;
+        let scrollCount = 0;
+        tree.scrollToNode = (...args) => {
+            scrollCount++;
+            return scrollToNode.apply(tree, args);
+        };
+        tree.closeNode(tree.getNodeById('charlie'));
+        tree.scrollToNode = scrollToNode;
+        t.equal(focusedId(), 'charlie');
+        t.equal(scrollCount, 0, 'closing a node does not scroll to the focused node');
+    }
+
+    { // #5: Move the focus to the next sibling, previous sibling, or parent of the removed node
+        tree.focusNode(tree.getNodeById('charlie'));
+        tree.removeNode(tree.getNodeById('charlie'));
+        t.equal(focusedId(), 'hotel', 'next sibling');
+        tree.removeNode(tree.getNodeById('kilo'));
+        tree.focusNode(tree.getNodeById('hotel'));
+        tree.removeNode(tree.getNodeById('hotel'));
+        t.equal(focusedId(), 'bravo', 'parent');
+        t.equal(isRowFocused('bravo'), true);
+        tree.removeNode(tree.getNodeById('bravo'));
+        t.equal(focusedId(), 'alpha', 'previous sibling');
+    }
+
+    { // #6: Remove the focus
+        t.equal(tree.focusNode(null), true);
+        t.equal(focusedId(), null);
+        t.equal(isRowFocused('alpha'), false);
+    }
+
+    t.end();
+});
+
 test('tree.getChildNodes', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -858,6 +3201,207 @@ test('tree.openNode', (t) => {
     t.end();
 });
 
+test('tree.openNode with the recursive option', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: getTreeData()
+    });
+
+    tree.openNode(tree.getNodeById('<root>'));
+    tree.openNode(tree.getNodeById('bravo'));
+
+    const openedNodes = [];
+    tree.on('openNode', (node) => {
+        openedNodes.push(node.id);
+    });
+
+    { // #1: Open descendants within the depth limit
+        t.equal(tree.openNode(tree.getNodeById('bravo'), { recursive: true, maxDepth: 2 }), true, 'open an open node recursively');
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo', 'charlie', 'delta', 'golf', 'hotel', 'india', 'kilo']);
+        t.same(openedNodes, ['charlie', 'hotel']);
+    }
+
+    { // #2: Open all descendants
+        tree.closeNode(tree.getNodeById('bravo'));
+        tree.openNode(tree.getNodeById('bravo'), { recursive: true });
+        t.equal(tree.nodes.length, 12);
+        t.equal(tree.getNodeById('<root>').state.total, 11);
+        t.equal(tree.getNodeById('bravo').state.total, 9);
+    }
+
+    t.end();
+});
+
+test('tree.openNodeAsync', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: getTreeData()
+    });
+
+    tree.on('willOpenNode', (node) => {
+        return Promise.resolve(node.id !== 'kilo');
+    });
+
+    tree.openNodeAsync(tree.getNodeById('<root>'))
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(tree.getNodeById('<root>').state.open, true);
+            t.equal(tree.nodes.length, 3);
+            return tree.openNodeAsync(tree.getNodeById('kilo'));
+        })
+        .then((result) => {
+            t.equal(result, false, 'canceled by the listener');
+            t.equal(tree.getNodeById('kilo').state.open, false);
+            t.end();
+        });
+});
+
+test('tree.openNodeAsync with the recursive option', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        data: { id: 'a', loadOnDemand: true },
+        loadNodes: (node, next) => {
+            setTimeout(() => {
+                next(null, (node.state.depth < 2) ? [{ id: `${node.id}.0`, loadOnDemand: true }] : []);
+            }, 0);
+        }
+    });
+
+    tree.openNodeAsync(tree.getNodeById('a'), { recursive: true, maxDepth: 2 })
+        .then((result) => {
+            t.equal(result, true);
+            t.same(tree.nodes.map(node => node.id), ['a', 'a.0', 'a.0.0']);
+            t.equal(tree.getNodeById('a.0').state.open, true);
+            t.equal(tree.getNodeById('a.0.0').state.open, false, 'do not load nodes beyond the depth limit');
+            t.end();
+        });
+});
+
+test('tree.openNodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        data: [
+            { id: 'a', children: [{ id: 'a.0' }] },
+            { id: 'b', children: [{ id: 'b.0', children: [{ id: 'b.0.0' }] }] },
+            { id: 'c', loadOnDemand: true },
+            { id: 'd', children: [{ id: 'd.0' }] }
+        ],
+        loadNodes: (node, next) => {
+            next(null, [{ id: `${node.id}.0` }]);
+        }
+    });
+
+    const openedIds = [];
+    tree.on('openNode', (node) => {
+        openedIds.push(node.id);
+    });
+    tree.on('willOpenNode', (node, event) => {
+        if (node.id === 'd') {
+            event.preventDefault();
+        }
+    });
+
+    t.equal(tree.openNodes([tree.getNodeById('a'), tree.getNodeById('b'), tree.getNodeById('b.0'), tree.getNodeById('d')]), true);
+    t.same(tree.nodes.map(node => node.id), ['a', 'a.0', 'b', 'b.0', 'b.0.0', 'c', 'd']);
+    t.same(tree.rows.map(row => row.indexOf(`data-id="${tree.nodes[tree.rows.indexOf(row)].id}"`) >= 0), [true, true, true, true, true, true, true]);
+    t.same(openedIds, ['a', 'b', 'b.0'], 'the vetoed node "d" is not opened');
+    t.equal(tree.openNodes([tree.getNodeById('a')]), false, 'the node is already open');
+
+    tree.on('openNode', (node) => {
+        if (node.id === 'c') {
+            t.same(tree.nodes.map(node => node.id), ['a', 'a.0', 'b', 'b.0', 'b.0.0', 'c', 'c.0', 'd'], 'the child nodes are loaded on demand');
+            t.end();
+        }
+    });
+    t.equal(tree.openNodes([tree.getNodeById('c')]), true);
+});
+
+test('tree.loadPath', (t) => {
+    const el = getTreeElement();
+    const loadedNodes = [];
+    const tree = new InfiniteTree(el, {
+        data: [
+            { id: 'org', loadOnDemand: true },
+            { id: 'other' }
+        ],
+        loadNodes: (node, next) => {
+            loadedNodes.push(node.id);
+            setTimeout(() => {
+                if (node.id === 'org') {
+                    next(null, [{ id: 'team', loadOnDemand: true }]);
+                } else if (node.id === 'team') {
+                    next(null, [{ id: 'repo' }, { id: 'wiki' }]);
+                } else {
+                    next(null, []);
+                }
+            }, 0);
+        }
+    });
+
+    tree.loadPath('/org/team/repo', { select: true })
+        .then((node) => {
+            t.equal(node.id, 'repo');
+            t.same(loadedNodes, ['org', 'team']);
+            t.same(tree.nodes.map(node => node.id), ['org', 'team', 'repo', 'wiki', 'other']);
+            t.equal(tree.getSelectedNode(), node);
+
+            // Close the top-level node and resolve the path again without reloading
+            tree.closeNode(tree.getNodeById('org'));
+            return tree.loadPath(['org', 'team', 'wiki']);
+        })
+        .then((node) => {
+            t.equal(node.id, 'wiki');
+            t.same(loadedNodes, ['org', 'team']);
+            t.equal(tree.nodes.indexOf(node), 3);
+
+            return tree.loadPath('org/team/unknown/file.js');
+        })
+        .catch((err) => {
+            t.equal(err.name, 'NotFoundError');
+            t.equal(err.segment, 'unknown');
+            t.equal(err.index, 2);
+            t.end();
+        });
+});
+
+test('tree.loadPath with a node that is not a child of the previous node', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        data: getTreeData()
+    });
+
+    tree.loadPath('kilo/alpha')
+        .then(() => {
+            t.fail('the promise should be rejected');
+        }, (err) => {
+            t.equal(err.name, 'NotFoundError');
+            t.equal(err.segment, 'kilo', 'the node is not a top-level node');
+            t.equal(err.index, 0);
+            return tree.loadPath(['<root>', 'charlie', 'india']);
+        })
+        .then(() => {
+            t.fail('the promise should be rejected');
+        }, (err) => {
+            t.equal(err.name, 'NotFoundError');
+            t.equal(err.segment, 'charlie', 'the node is not a child of the root node');
+            t.equal(err.index, 1);
+            return tree.loadPath(['<root>', 'bravo', 'charlie', 'india']);
+        })
+        .then(() => {
+            t.fail('the promise should be rejected');
+        }, (err) => {
+            t.equal(err.segment, 'india', 'the node is not a child of the node "charlie"');
+            t.equal(err.index, 3);
+            return tree.loadPath(['<root>', 'bravo', 'hotel', 'india']);
+        })
+        .then((node) => {
+            t.equal(node, tree.getNodeById('india'));
+            t.end();
+        });
+});
+
 test('tree.moveNodeTo', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -888,6 +3432,50 @@ test('tree.moveNodeTo', (t) => {
     t.end();
 });
 
+test('tree.refreshNodeAsync', (t) => {
+    const el = getTreeElement();
+    let loadCount = 0;
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: {
+            id: '<root>',
+            loadOnDemand: true
+        },
+        loadNodes: (node, next) => {
+            ++loadCount;
+            setTimeout(() => {
+                next(null, [{ id: `child#${loadCount}` }]);
+            }, 0);
+        }
+    });
+
+    const node = tree.getNodeById('<root>');
+
+    tree.openNodeAsync(node)
+        .then(() => {
+            t.notEqual(tree.getNodeById('child#1'), null);
+            return tree.refreshNodeAsync(node);
+        })
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(loadCount, 2);
+            t.equal(tree.getNodeById('child#1'), null);
+            t.notEqual(tree.getNodeById('child#2'), null);
+            t.equal(node.state.open, true);
+            t.equal(tree.nodes.length, 2);
+
+            // The static child nodes are not removed
+            tree.addChildNodes({ id: 'static', children: [{ id: 'static-child' }] }, node);
+            return tree.refreshNodeAsync(tree.getNodeById('static'));
+        })
+        .then((result) => {
+            t.equal(result, false);
+            t.equal(loadCount, 2);
+            t.notEqual(tree.getNodeById('static-child'), null);
+            t.end();
+        });
+});
+
 test('tree.removeChildNodes', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -1039,6 +3627,153 @@ test('tree.removeNode', (t) => {
     t.end();
 });
 
+test('tree.revealNode', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: false,
+        data: getTreeData()
+    });
+
+    const openedNodes = [];
+    tree.on('openNode', (node) => {
+        openedNodes.push(node.id);
+    });
+
+    let updateCount = 0;
+    tree.on('contentDidUpdate', () => {
+        ++updateCount;
+    });
+
+    { // #1: Open all closed ancestors in one render pass
+        t.equal(tree.revealNode('echo'), true);
+        t.equal(updateCount, 1, 'render once');
+        t.same(openedNodes, ['<root>', 'bravo', 'charlie', 'delta']);
+        t.same(tree.nodes.map(node => node.id), ['<root>', 'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'kilo']);
+        t.equal(tree.getNodeById('<root>').state.total, 9);
+        t.equal(tree.getNodeById('bravo').state.total, 7);
+        t.equal(tree.getSelectedNode(), null, 'do not select the node by default');
+    }
+
+    { // #2: Select and focus the node
+        t.equal(tree.revealNode(tree.getNodeById('juliet'), { select: true, focus: true }), true);
+        t.same(openedNodes, ['<root>', 'bravo', 'charlie', 'delta', 'hotel', 'india']);
+        t.equal(tree.nodes.length, 12);
+        t.equal(tree.getSelectedNode().id, 'juliet');
+        t.equal(tree.getFocusedNode().id, 'juliet');
+    }
+
+    { // #3: Cancel the action
+        tree.closeNode(tree.getNodeById('bravo'));
+        tree.on('willOpenNode', (node, event) => {
+            if (node.id === 'bravo') {
+                event.preventDefault();
+            }
+        });
+        t.equal(tree.revealNode('golf'), false);
+        t.equal(tree.getNodeById('bravo').state.open, false);
+    }
+
+    { // #4: Invalid node
+        t.equal(tree.revealNode('unknown'), false);
+        t.equal(tree.revealNode(null), false);
+    }
+
+    t.end();
+});
+
+test('tree.search', (t) => {
+    const el = getTreeElement();
+    const serverData = {
+        'org': [{ id: 'team', loadOnDemand: true }, { id: 'docs' }],
+        'team': [{ id: 'repo' }, { id: 'wiki' }]
+    };
+    const loadedNodes = [];
+    const progress = [];
+    const tree = new InfiniteTree(el, {
+        data: [
+            { id: 'org', loadOnDemand: true },
+            { id: 'other' }
+        ],
+        loadNodes: (node, next) => {
+            loadedNodes.push(node.id);
+            setTimeout(() => {
+                next(null, serverData[node.id] || []);
+            }, 0);
+        },
+        searchNodes: (query, next) => {
+            if (query === 'throw') {
+                throw new Error('Search thrown');
+            }
+            setTimeout(() => {
+                if (query === 'error') {
+                    next(new Error('Search failed'));
+                    return;
+                }
+                next(null, ['org/team/' + query, ['org', 'docs'], 'org/unknown/' + query]);
+            }, 0);
+        }
+    });
+    tree.on('searchProgress', (event) => {
+        progress.push([event.query, event.loaded, event.total]);
+    });
+
+    tree.selectNode(tree.getNodeById('other'));
+
+    // The second search will cancel the first one
+    const canceledSearch = tree.search('wiki');
+    tree.search('repo')
+        .then((nodes) => {
+            t.same(nodes.map(node => node.id), ['repo', 'docs']);
+            t.same(loadedNodes, ['org', 'team']);
+            t.same(progress, [['repo', 0, 3], ['repo', 1, 3], ['repo', 2, 3], ['repo', 3, 3]]);
+            t.equal(tree.filtered, true);
+            t.same(tree.nodes.filter(node => node.state.filtered).map(node => node.id), ['org', 'team', 'repo', 'docs']);
+            t.equal(tree.rows.filter(row => !!row).length, 4);
+
+            // Restore the open nodes and the selection before searching
+            tree.unfilter();
+            t.same(tree.nodes.map(node => node.id), ['org', 'other']);
+            t.equal(tree.getSelectedNode(), tree.getNodeById('other'));
+
+            return tree.search('error');
+        })
+        .catch((err) => {
+            t.equal(err.message, 'Search failed');
+            t.equal(tree.unfilterState, null, 'discard the saved state if the search fails');
+
+            return tree.search('throw');
+        })
+        .catch((err) => {
+            t.equal(err.message, 'Search thrown');
+            t.equal(tree.unfilterState, null, 'discard the saved state if searchNodes throws');
+
+            // Keep the saved state of the active filter
+            tree.filter('other');
+            const unfilterState = tree.unfilterState;
+            return tree.search('error').catch(() => {
+                t.equal(tree.unfilterState, unfilterState);
+                tree.unfilter();
+            });
+        })
+        .then(() => {
+            // Cancel the search by unfilter
+            const promise = tree.search('repo');
+            tree.unfilter();
+            return promise;
+        })
+        .then((nodes) => {
+            t.equal(nodes, null, 'resolve the canceled search to null');
+            t.equal(tree.cancelSearch(), false);
+            t.equal(tree.filtered, false);
+
+            return canceledSearch;
+        })
+        .then((nodes) => {
+            t.equal(nodes, null);
+            t.end();
+        });
+});
+
 test('tree.selectNode', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -1089,6 +3824,257 @@ test('tree.selectNode', (t) => {
     t.end();
 });
 
+test('tree.selectNodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        selectionMode: 'multiple'
+    });
+
+    const changes = [];
+
+    tree.on('selectionChange', ({ addedNodes, removedNodes }) => {
+        changes.push({
+            added: addedNodes.map(node => node.id),
+            removed: removedNodes.map(node => node.id)
+        });
+    });
+
+    { // #1: Add nodes to the selection
+        t.ok(tree.selectNodes([tree.getNodeById('alpha'), tree.getNodeById('charlie')]));
+        t.ok(tree.selectNodes(tree.getNodeById('golf')));
+        t.notOk(tree.selectNodes(tree.getNodeById('golf')), 'it should return false if nothing changed');
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['alpha', 'charlie', 'golf']);
+        t.ok(tree.isSelected(tree.getNodeById('charlie')));
+        t.notOk(tree.isSelected(tree.getNodeById('bravo')));
+        t.equal(tree.getNodeById('charlie').state.selected, true);
+        t.strictSame(tree.getSelectedNode(), tree.getNodeById('charlie'), 'the last selected node is "charlie"');
+    }
+
+    { // #2: Remove nodes from the selection
+        t.ok(tree.deselectNodes(tree.getNodeById('alpha')));
+        t.notOk(tree.deselectNodes(tree.getNodeById('bravo')));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['charlie', 'golf']);
+        t.equal(tree.getNodeById('alpha').state.selected, false);
+    }
+
+    { // #3: Replace the selection
+        t.ok(tree.selectNodes([tree.getNodeById('golf'), tree.getNodeById('kilo')], { replace: true }));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['golf', 'kilo']);
+    }
+
+    { // #4: Select a single node
+        t.ok(tree.selectNode(tree.getNodeById('kilo')));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['kilo']);
+        t.strictSame(tree.getSelectedNode(), tree.getNodeById('kilo'));
+    }
+
+    t.strictSame(changes, [
+        { added: ['alpha', 'charlie'], removed: [] },
+        { added: ['golf'], removed: [] },
+        { added: [], removed: ['alpha'] },
+        { added: ['kilo'], removed: ['charlie'] },
+        { added: [], removed: ['golf'] }
+    ]);
+
+    { // #5: Closing a node replaces hidden selected nodes with the closed node
+        tree.selectNodes([tree.getNodeById('echo'), tree.getNodeById('golf')], { replace: true });
+        tree.closeNode(tree.getNodeById('delta'));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['golf', 'delta']);
+    }
+
+    { // #6: Removing nodes keeps the selection consistent
+        tree.removeNode(tree.getNodeById('charlie'));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['hotel'], 'the next sibling node of "charlie" is "hotel"');
+
+        tree.selectNodes([tree.getNodeById('juliet'), tree.getNodeById('kilo')]);
+        tree.removeChildNodes(tree.getNodeById('hotel'));
+        t.strictSame(tree.getSelectedNodes().map(node => node.id), ['kilo', 'hotel']);
+    }
+
+    { // #7: Deselect all nodes
+        t.ok(tree.deselectNodes());
+        t.strictSame(tree.getSelectedNodes(), []);
+        t.equal(tree.getSelectedNode(), null);
+    }
+
+    { // #8: Loading data clears the selection
+        tree.selectNodes(tree.getNodeById('<root>'));
+        tree.loadData(getTreeData());
+        t.strictSame(tree.getSelectedNodes(), []);
+    }
+
+    t.end();
+});
+
+test('Range selection with the shift key', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData(),
+        selectionMode: 'multiple'
+    });
+
+    const click = (id, options) => {
+        const row = tree.contentElement.querySelector(`[data-id="${id}"]`);
+        row.dispatchEvent(new window.MouseEvent('click', { bubbles: true, ...options }));
+    };
+    const selectedIds = () => tree.getSelectedNodes().map(node => node.id);
+
+    click('charlie');
+    setTimeout(() => {
+        // A programmatic selection does not move the anchor
+        tree.selectNodes(tree.getNodeById('kilo'));
+        click('echo', { shiftKey: true });
+
+        setTimeout(() => {
+            t.strictSame(selectedIds(), ['charlie', 'delta', 'echo'], 'the range starts from the last clicked node');
+
+            { // Nodes cannot be deselected if the tree is not selectable
+                tree.options.selectable = false;
+                t.equal(tree.deselectNodes(), false);
+                t.strictSame(selectedIds(), ['charlie', 'delta', 'echo']);
+                tree.options.selectable = true;
+            }
+
+            tree.destroy();
+            t.end();
+        }, 0);
+    }, 0);
+});
+
+test('tree.selectNodes in single selection mode', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    t.notOk(tree.selectNodes(tree.getNodeById('alpha')));
+    t.strictSame(tree.getSelectedNodes(), []);
+
+    t.ok(tree.selectNode(tree.getNodeById('alpha')));
+    t.strictSame(tree.getSelectedNodes(), [tree.getNodeById('alpha')]);
+    t.ok(tree.isSelected(tree.getNodeById('alpha')));
+
+    t.end();
+});
+
+test('tree.sortChildNodes', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+    const getLabel = (node) => (node ? node.label : null);
+    const byLabelDescending = (a, b) => b.label.localeCompare(a.label);
+
+    t.equal(tree.sortChildNodes(tree.getNodeById('bravo')), false); // No comparator
+
+    { // #1: Sort the child nodes of a parent node
+        t.equal(tree.sortChildNodes(tree.getNodeById('bravo'), byLabelDescending), true);
+        t.same(tree.getNodeById('bravo').children.map(getLabel), ['Kilo', 'Hotel', 'Charlie']);
+        t.same(tree.getNodeById('delta').children.map(getLabel), ['Echo', 'Foxtrot']);
+        t.same(tree.nodes.map(getLabel), ['<root>', 'Alpha', 'Bravo', 'Kilo', 'Hotel', 'India', 'Juliet', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf']);
+        t.equal(tree.rows.length, tree.nodes.length);
+        t.equal(tree.getNodeById('kilo').state.path, '.0.1.0');
+    }
+
+    { // #2: Sort the child nodes of all descendants
+        tree.sortChildNodes(tree.getNodeById('bravo'), byLabelDescending, { recursive: true });
+        t.same(tree.getNodeById('charlie').children.map(getLabel), ['Golf', 'Delta']);
+        t.same(tree.getNodeById('delta').children.map(getLabel), ['Foxtrot', 'Echo']);
+        t.same(tree.nodes.map(getLabel), ['<root>', 'Alpha', 'Bravo', 'Kilo', 'Hotel', 'India', 'Juliet', 'Charlie', 'Golf', 'Delta', 'Foxtrot', 'Echo']);
+    }
+
+    { // #3: The order of matched nodes follows the sorted nodes
+        tree.filter('o', { filterPath: 'label', includeDescendants: false });
+        tree.sortChildNodes(tree.getNodeById('bravo'), (a, b) => a.label.localeCompare(b.label), { recursive: true });
+        t.same(tree.getFilterMatches().map(getLabel), ['<root>', 'Bravo', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'Kilo']);
+    }
+
+    t.end();
+});
+
+test('sortComparator', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: [
+            { id: 'file10', name: 'file10.txt' },
+            { id: 'src', name: 'src', children: [{ id: 'b', name: 'b.js' }, { id: 'a', name: 'a.js' }] },
+            { id: 'file2', name: 'file2.txt' },
+            { id: 'lib', name: 'lib', loadOnDemand: true }
+        ],
+        loadNodes: (parentNode, next) => {
+            next(null, [
+                { id: 'lib-2', name: 'lib2.js' },
+                { id: 'lib-10', name: 'lib10.js' },
+                { id: 'lib-1', name: 'lib1.js' }
+            ]);
+        },
+        sortComparator: 'folders-first'
+    });
+    const getName = (node) => (node ? node.name : null);
+
+    { // #1: Sort the loaded data
+        t.same(tree.nodes.map(getName), ['lib', 'src', 'a.js', 'b.js', 'file2.txt', 'file10.txt']);
+    }
+
+    { // #2: Add nodes at their sorted positions
+        tree.addChildNodes([{ id: 'file3', name: 'file3.txt' }, { id: 'docs', name: 'docs', children: [{ id: 'readme', name: 'README.md' }] }], 0);
+        t.same(tree.nodes.map(getName), ['docs', 'lib', 'src', 'a.js', 'b.js', 'file2.txt', 'file3.txt', 'file10.txt']);
+        t.equal(tree.getNodeById('docs') instanceof Node, true);
+
+        tree.insertNodeBefore({ id: 'c', name: 'c.js' }, tree.getNodeById('a'));
+        t.same(tree.getNodeById('src').children.map(getName), ['a.js', 'b.js', 'c.js']);
+
+        // Moving a node ignores the index
+        tree.moveNodeTo(tree.getNodeById('file10'), tree.getNodeById('src'), 0);
+        t.same(tree.getNodeById('src').children.map(getName), ['a.js', 'b.js', 'c.js', 'file10.txt']);
+    }
+
+    { // #3: Move an updated node to its sorted position
+        let updateCount = 0;
+        tree.on('contentDidUpdate', () => {
+            ++updateCount;
+        });
+        tree.updateNode(tree.getNodeById('file2'), { name: 'file99.txt' });
+        t.same(tree.getRootNode().children.map(getName), ['docs', 'lib', 'src', 'file3.txt', 'file99.txt']);
+        t.equal(tree.rows.length, tree.nodes.length);
+        t.equal(updateCount, 1, 'render once');
+    }
+
+    { // #4: Keep the nodes added while filtering at their sorted positions after unfilter
+        tree.filter('file', { sortByScore: true });
+        t.same(tree.getRootNode().children.map(getName), ['file3.txt', 'src', 'file99.txt', 'docs', 'lib']);
+        tree.addChildNodes([{ id: 'file5', name: 'file5.txt' }]);
+        tree.unfilter();
+        t.same(tree.getRootNode().children.map(getName), ['docs', 'lib', 'src', 'file3.txt', 'file5.txt', 'file99.txt']);
+        t.same(tree.nodes.filter(node => !node.parent.parent).map(getName), ['docs', 'lib', 'src', 'file3.txt', 'file5.txt', 'file99.txt']);
+    }
+
+    { // #5: Sort with the comparators exposed on InfiniteTree
+        t.ok(InfiniteTree.naturalCompare('file2', 'file10') < 0);
+        tree.sortChildNodes(tree.getNodeById('src'), (a, b) => InfiniteTree.naturalCompare(b.name, a.name));
+        t.same(tree.getNodeById('src').children.map(getName), ['file10.txt', 'c.js', 'b.js', 'a.js']);
+        tree.sortChildNodes(tree.getNodeById('src'), InfiniteTree.foldersFirstComparator);
+        t.same(tree.getNodeById('src').children.map(getName), ['a.js', 'b.js', 'c.js', 'file10.txt']);
+
+        const compareByLabel = InfiniteTree.createFoldersFirstComparator({ path: 'label', isFolder: node => node.id === 'c' });
+        tree.sortChildNodes(tree.getNodeById('src'), compareByLabel);
+        t.equal(tree.getNodeById('src').children[0].id, 'c');
+        tree.sortChildNodes(tree.getNodeById('src'), 'folders-first');
+    }
+
+    // #6: Sort the nodes loaded on demand
+    tree.openNodeAsync(tree.getNodeById('lib')).then(() => {
+        t.same(tree.getNodeById('lib').children.map(getName), ['lib1.js', 'lib2.js', 'lib10.js']);
+        t.end();
+    });
+});
+
 test('tree.swapNodes', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -1176,6 +4162,26 @@ test('tree.toggleNode', (t) => {
     t.end();
 });
 
+test('tree.toggleNodeAsync', (t) => {
+    const el = getTreeElement();
+    const tree = new InfiniteTree(el, {
+        autoOpen: true,
+        data: getTreeData()
+    });
+
+    tree.toggleNodeAsync(tree.getNodeById('bravo'))
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(tree.getNodeById('bravo').state.open, false);
+            return tree.toggleNodeAsync(tree.getNodeById('bravo'));
+        })
+        .then((result) => {
+            t.equal(result, true);
+            t.equal(tree.getNodeById('bravo').state.open, true);
+            t.end();
+        });
+});
+
 test('tree.toString', (t) => {
     const el = getTreeElement();
     const tree = new InfiniteTree(el, {
@@ -0,0 +1,36 @@
+import { test } from 'tap';
+import { createFoldersFirstComparator, foldersFirstComparator, naturalCompare } from '../src/sort';
+
+test('naturalCompare', (t) => {
+    t.ok(naturalCompare('file2', 'file10') < 0);
+    t.ok(naturalCompare('file10', 'file2') > 0);
+    t.ok(naturalCompare('a', 'B') < 0);
+    t.ok(naturalCompare('file1', 'file01') < 0);
+    t.ok(naturalCompare('file', 'file1') < 0);
+    t.ok(naturalCompare('1.10', '1.9') > 0);
+    t.equal(naturalCompare('file1', 'file1'), 0);
+    t.equal(naturalCompare(2, 10) < 0, true);
+    t.same(['file10', 'file2', 'File1', 'file01', 'file1', 'a', 'B'].sort(naturalCompare), ['a', 'B', 'File1', 'file1', 'file01', 'file2', 'file10']);
+    t.end();
+});
+
+test('foldersFirstComparator', (t) => {
+    const nodes = [
+        { name: 'file10.txt' },
+        { name: 'src', children: [{ name: 'index.js' }] },
+        { name: 'file2.txt' },
+        { name: 'lib', loadOnDemand: true },
+        { name: 'Docs', children: [] }
+    ];
+
+    t.same(nodes.slice().sort(foldersFirstComparator).map(node => node.name), ['lib', 'src', 'Docs', 'file2.txt', 'file10.txt']);
+
+    const compareByLabel = createFoldersFirstComparator({ path: 'label' });
+    t.ok(compareByLabel({ label: 'item2' }, { label: 'item10' }) < 0);
+    t.ok(compareByLabel({ label: 'z', children: [{}] }, { label: 'a' }) < 0);
+
+    // Sort empty folders before files
+    const compareByType = createFoldersFirstComparator({ isFolder: node => node.type === 'folder' });
+    t.same(nodes.map(node => ({ ...node, type: node.children ? 'folder' : 'file' })).sort(compareByType).map(node => node.name), ['Docs', 'src', 'file2.txt', 'file10.txt', 'lib']);
+    t.end();
+});